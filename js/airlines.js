@@ -0,0 +1,137 @@
+/**
+ * Midnight Express LKN - Airlines
+ *
+ * Airline table and flight number parsing for the booking form.
+ * Flight numbers are matched against both IATA designators (two characters,
+ * which may include a digit, e.g. B6 or 9E) and ICAO codes (three letters,
+ * e.g. JBU), and normalized to IATA designator + flight number ("B6123").
+ */
+
+(function(window) {
+    "use strict";
+
+    // =================================================================
+    // CONFIGURATION
+    // =================================================================
+
+    /**
+     * Airlines serving CLT and the other airports we cover
+     * iata: two-character designator, icao: three-letter code
+     */
+    const AIRLINES = [
+        { iata: 'AA', icao: 'AAL', name: 'American Airlines' },
+        { iata: 'DL', icao: 'DAL', name: 'Delta Air Lines' },
+        { iata: 'UA', icao: 'UAL', name: 'United Airlines' },
+        { iata: 'WN', icao: 'SWA', name: 'Southwest Airlines' },
+        { iata: 'B6', icao: 'JBU', name: 'JetBlue' },
+        { iata: 'AS', icao: 'ASA', name: 'Alaska Airlines' },
+        { iata: 'NK', icao: 'NKS', name: 'Spirit Airlines' },
+        { iata: 'F9', icao: 'FFT', name: 'Frontier Airlines' },
+        { iata: 'G4', icao: 'AAY', name: 'Allegiant Air' },
+        { iata: 'SY', icao: 'SCX', name: 'Sun Country Airlines' },
+        { iata: 'MX', icao: 'MXY', name: 'Breeze Airways' },
+        { iata: 'XP', icao: 'VXP', name: 'Avelo Airlines' },
+        { iata: 'OH', icao: 'JIA', name: 'PSA Airlines (American Eagle)' },
+        { iata: 'PT', icao: 'PDT', name: 'Piedmont Airlines (American Eagle)' },
+        { iata: 'MQ', icao: 'ENY', name: 'Envoy Air (American Eagle)' },
+        { iata: 'YX', icao: 'RPA', name: 'Republic Airways' },
+        { iata: '9E', icao: 'EDV', name: 'Endeavor Air (Delta Connection)' },
+        { iata: 'OO', icao: 'SKW', name: 'SkyWest Airlines' },
+        { iata: 'YV', icao: 'ASH', name: 'Mesa Airlines' },
+        { iata: 'ZW', icao: 'AWI', name: 'Air Wisconsin' },
+        { iata: 'G7', icao: 'GJS', name: 'GoJet Airlines' },
+        { iata: 'C5', icao: 'UCA', name: 'CommuteAir' },
+        { iata: 'QX', icao: 'QXE', name: 'Horizon Air' },
+        { iata: 'AC', icao: 'ACA', name: 'Air Canada' },
+        { iata: 'WS', icao: 'WJA', name: 'WestJet' },
+        { iata: 'PD', icao: 'POE', name: 'Porter Airlines' },
+        { iata: 'BA', icao: 'BAW', name: 'British Airways' },
+        { iata: 'LH', icao: 'DLH', name: 'Lufthansa' },
+        { iata: 'AF', icao: 'AFR', name: 'Air France' },
+        { iata: 'KL', icao: 'KLM', name: 'KLM' },
+        { iata: 'EI', icao: 'EIN', name: 'Aer Lingus' },
+        { iata: 'FI', icao: 'ICE', name: 'Icelandair' },
+        { iata: 'CM', icao: 'CMP', name: 'Copa Airlines' },
+        { iata: 'Y4', icao: 'VOI', name: 'Volaris' },
+        { iata: 'AM', icao: 'AMX', name: 'Aeromexico' }
+    ];
+
+    // =================================================================
+    // LOOKUPS
+    // =================================================================
+
+    /**
+     * Find an airline by IATA or ICAO code
+     * @param {string} code - Two-character IATA or three-letter ICAO code
+     * @returns {object|null} - {iata, icao, name}
+     */
+    function findAirline(code) {
+        const upper = String(code || '').toUpperCase();
+        return AIRLINES.find(function(airline) {
+            return airline.iata === upper || airline.icao === upper;
+        }) || null;
+    }
+
+    /**
+     * Parse a flight number as typed ("b6 123", "JBU123", "9E-5012")
+     * Known airline codes are tried first (ICAO, then IATA); otherwise any
+     * three-letter or two-character designator that isn't two digits is accepted.
+     *
+     * @param {string} input - Flight number as entered
+     * @returns {object|null} - {designator, number, suffix, airline, flightId, display}, or null when it can't be parsed
+     */
+    function parseFlightNumber(input) {
+        const raw = String(input || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        const candidates = [];
+
+        if (/^[A-Z]{3}/.test(raw) && findAirline(raw.slice(0, 3))) {
+            candidates.push(raw.slice(0, 3));
+        }
+        if (findAirline(raw.slice(0, 2))) {
+            candidates.push(raw.slice(0, 2));
+        }
+        if (/^[A-Z]{3}\d/.test(raw)) {
+            candidates.push(raw.slice(0, 3));
+        }
+        if (/^(?![0-9]{2})[A-Z0-9]{2}/.test(raw)) {
+            candidates.push(raw.slice(0, 2));
+        }
+
+        for (const designator of candidates) {
+            const match = /^(\d{1,4})([A-Z]?)$/.exec(raw.slice(designator.length));
+            if (!match) continue;
+
+            const airline = findAirline(designator);
+            const number = String(Number(match[1]));
+            return {
+                designator: designator,
+                number: match[1],
+                suffix: match[2],
+                airline: airline,
+                flightId: (airline ? airline.iata : designator) + number + match[2],
+                display: designator + ' ' + match[1] + match[2]
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Normalized flight identifier, e.g. "JBU 0123" -> "B6123"
+     * @param {string} input - Flight number as entered
+     * @returns {string} - Identifier, or '' when the input isn't a flight number
+     */
+    function normalizeFlightNumber(input) {
+        const parsed = parseFlightNumber(input);
+        return parsed ? parsed.flightId : '';
+    }
+
+    window.MidnightExpress = window.MidnightExpress || {};
+    window.MidnightExpress.airlines = {
+        AIRLINES: AIRLINES,
+        findAirline: findAirline,
+        parseFlightNumber: parseFlightNumber,
+        normalizeFlightNumber: normalizeFlightNumber
+    };
+
+})(window);
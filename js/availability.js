@@ -0,0 +1,662 @@
+/**
+ * Midnight Express LKN - Availability
+ *
+ * Shared scheduling rules for the booking form:
+ * - Fleet configuration (vehicle count and seats per vehicle)
+ * - Ride durations from the drive time matrix, including deadhead back to base
+ * - Blocked time range around each booking
+ * - Conflict detection that only blocks a time when every vehicle is busy,
+ *   including rides from the previous or next day that run across midnight
+ * - Bookable time left in a day, for the multi-day availability calendar
+ * - Booking time validation shared by new bookings and time changes (including operating hours)
+ * - Nearest open slots before and after a taken time, and the chips that offer them
+ * - Return pickups timed from the flight's landing plus a deplaning allowance
+ * - Suggested pickups for departing flights (departure minus airport arrival lead and drive time)
+ */
+
+(function(window) {
+    "use strict";
+
+    // =================================================================
+    // CONFIGURATION
+    // =================================================================
+
+    /**
+     * Vehicles available for bookings.
+     * Each booking occupies one vehicle for its blocked range. We run one van;
+     * when a second one (and a driver for it) is on the road, add it here, e.g.
+     * { id: 'van-2', name: 'Van 2', capacity: 6 }, and overlapping rides will
+     * be accepted until both are busy.
+     */
+    const FLEET = {
+        vehicles: [
+            { id: 'van-1', name: 'Van 1', capacity: 6 }
+        ],
+        vehicleLabel: 'van'
+    };
+
+    /**
+     * Ride timing rules:
+     * - Lead: drive from base to the pickup, arriving 15 min early
+     * - Tail: drive through any intermediate stops (5 min to load at each) to the
+     *   destination, 15 min to unload, then deadhead back to base
+     * - When an address can't be placed in a zone, the ride is assumed to
+     *   take 2 hours total (starting 15 min before pickup), plus 20 min per stop
+     */
+    const EARLY_ARRIVAL_MINUTES = 15;
+    const DROP_OFF_MINUTES = 15;
+    const STOP_DWELL_MINUTES = 5;
+    const DEFAULT_LEAD_MINUTES = 15;
+    const DEFAULT_TAIL_MINUTES = 105; // 1h 45m
+    const DEFAULT_STOP_MINUTES = 20;
+
+    const MINUTES_PER_DAY = 1440;
+
+    const MIN_ADVANCE_HOURS = 3;
+
+    /**
+     * Open slot search: picker step, and how many days past the requested date to look
+     */
+    const SLOT_STEP_MINUTES = 5;
+    const SLOT_SEARCH_DAYS = 7;
+
+    /**
+     * Time from a return flight landing to meeting the customer at the curb
+     * (taxi to the gate, deplaning, walking out)
+     */
+    const DEPLANING_MINUTES = 30;
+
+    /**
+     * How long before a departing flight the customer should be at the airport
+     */
+    const AIRPORT_ARRIVAL_LEAD_MINUTES = {
+        domestic: 120,
+        international: 180
+    };
+
+    /**
+     * Drive time assumed for a suggested pickup when an address can't be placed in a zone
+     */
+    const DEFAULT_DRIVE_MINUTES = 60;
+
+    // =================================================================
+    // FLEET
+    // =================================================================
+
+    /**
+     * Number of vehicles that can run rides at the same time
+     * @returns {number}
+     */
+    function getVehicleCount() {
+        return Math.max(FLEET.vehicles.length, 1);
+    }
+
+    /**
+     * Seats in the largest vehicle (a booking rides in a single vehicle)
+     * @returns {number}
+     */
+    function getMaxVehicleCapacity() {
+        return FLEET.vehicles.reduce(function(max, vehicle) {
+            return Math.max(max, vehicle.capacity);
+        }, 0);
+    }
+
+    /**
+     * Describe how many vehicles are free, e.g. "1 of 2 vans free"
+     * @param {number} busy - Vehicles busy at a given time
+     * @returns {string}
+     */
+    function describeFreeVehicles(busy) {
+        const total = getVehicleCount();
+        const free = Math.max(total - busy, 0);
+        return free + ' of ' + total + ' ' + FLEET.vehicleLabel + (total === 1 ? '' : 's') + ' free';
+    }
+
+    // =================================================================
+    // RIDE DURATIONS
+    // =================================================================
+
+    /**
+     * Drive minutes along a trip's route: base -> pickup -> each stop -> destination -> base
+     * @param {object} trip - {pickup, destination, stops} addresses; stops are in order (optional)
+     * @returns {object|null} - {toPickup, ride, backToBase} (ride includes loading at stops), or null when an address can't be placed
+     */
+    function getRouteMinutes(trip) {
+        const driveTimes = window.MidnightExpress.driveTimes;
+        if (!trip || !driveTimes) {
+            return null;
+        }
+
+        const stops = trip.stops || [];
+        const route = [trip.pickup].concat(stops, [trip.destination]).map(driveTimes.resolveZone);
+        const toPickup = driveTimes.getDriveMinutes(driveTimes.BASE_ZONE, route[0]);
+        const backToBase = driveTimes.getDriveMinutes(route[route.length - 1], driveTimes.BASE_ZONE);
+        let ride = 0;
+
+        for (let i = 0; i < route.length - 1; i++) {
+            const leg = driveTimes.getDriveMinutes(route[i], route[i + 1]);
+            if (leg === null) {
+                return null;
+            }
+            ride += leg;
+        }
+
+        if (toPickup === null || backToBase === null) {
+            return null;
+        }
+
+        return {
+            toPickup: toPickup,
+            ride: ride + stops.length * STOP_DWELL_MINUTES,
+            backToBase: backToBase
+        };
+    }
+
+    /**
+     * Estimate how long a ride keeps a vehicle busy around its pickup time
+     * @param {object} trip - {pickup, destination, stops} addresses; stops are in order (optional)
+     * @returns {object} - {leadMinutes, tailMinutes} before and after pickup
+     */
+    function getRideDuration(trip) {
+        const route = getRouteMinutes(trip);
+
+        if (!route) {
+            const stops = (trip && trip.stops) || [];
+            return {
+                leadMinutes: DEFAULT_LEAD_MINUTES,
+                tailMinutes: DEFAULT_TAIL_MINUTES + stops.length * DEFAULT_STOP_MINUTES
+            };
+        }
+
+        return {
+            leadMinutes: route.toPickup + EARLY_ARRIVAL_MINUTES,
+            tailMinutes: route.ride + DROP_OFF_MINUTES + route.backToBase
+        };
+    }
+
+    // =================================================================
+    // BLOCKED RANGES & CONFLICTS
+    // =================================================================
+
+    /**
+     * Calculate blocked time ranges for a booking
+     * The range covers every pickup time whose ride would overlap this booking:
+     * the new ride must be back at base before this one leaves, and may only
+     * leave base once this one has returned. Ranges aren't clamped to the day,
+     * so they can start before midnight or end past 1440.
+     *
+     * @param {number} hours - Booking hour (0-23)
+     * @param {number} minutes - Booking minute (0-59)
+     * @param {object} trip - Booking's {pickup, destination} (optional)
+     * @param {object} proposedTrip - Trip being booked {pickup, destination} (optional)
+     * @returns {object} - {startMinutes: number, endMinutes: number} (minutes since midnight)
+     */
+    function getBlockedRange(hours, minutes, trip, proposedTrip) {
+        const bookingTimeMinutes = hours * 60 + minutes;
+        const booked = getRideDuration(trip);
+        const proposed = getRideDuration(proposedTrip);
+
+        return {
+            startMinutes: bookingTimeMinutes - booked.leadMinutes - proposed.tailMinutes,
+            endMinutes: bookingTimeMinutes + booked.tailMinutes + proposed.leadMinutes
+        };
+    }
+
+    /**
+     * Window a scheduled booking keeps its vehicle busy (leaving base through returning),
+     * placed on its day relative to the date being checked
+     * @param {object} booking - Booking from scheduleBookingsForDate() ({dayOffset, hours, minutes, trip})
+     * @returns {object} - {start, end} (minutes since midnight of the date being checked)
+     */
+    function getBusyWindow(booking) {
+        const duration = getRideDuration(booking.trip);
+        const pickup = booking.hours * 60 + booking.minutes + (booking.dayOffset || 0) * MINUTES_PER_DAY;
+
+        return {
+            start: pickup - duration.leadMinutes,
+            end: pickup + duration.tailMinutes
+        };
+    }
+
+    /**
+     * Count the vehicles busy during the ride a pickup at a given minute would need
+     * This is the most bookings running at the same moment within that ride's
+     * window, not every booking that touches it: two rides back to back can
+     * share one vehicle and leave the other free. Windows that only touch
+     * count as overlapping, like the blocked ranges.
+     *
+     * @param {number} timeMinutes - Pickup, in minutes since midnight
+     * @param {Array} bookings - Bookings around the date (from scheduleBookingsForDate)
+     * @param {object} proposedTrip - Trip being booked (optional)
+     * @returns {number}
+     */
+    function countBusyVehicles(timeMinutes, bookings, proposedTrip) {
+        const proposed = getRideDuration(proposedTrip);
+        const rideStart = timeMinutes - proposed.leadMinutes;
+        const rideEnd = timeMinutes + proposed.tailMinutes;
+        const events = [];
+
+        bookings.forEach(function(booking) {
+            const busy = getBusyWindow(booking);
+            if (busy.start <= rideEnd && busy.end >= rideStart) {
+                events.push({ time: Math.max(busy.start, rideStart), delta: 1 });
+                events.push({ time: Math.min(busy.end, rideEnd), delta: -1 });
+            }
+        });
+
+        // Starts before ends at the same minute, so touching windows overlap
+        events.sort(function(a, b) {
+            return a.time - b.time || b.delta - a.delta;
+        });
+
+        let busy = 0;
+        let most = 0;
+        events.forEach(function(event) {
+            busy += event.delta;
+            most = Math.max(most, busy);
+        });
+        return most;
+    }
+
+    /**
+     * Check if a proposed time conflicts with existing bookings
+     * A time only conflicts when every vehicle in the fleet is already busy.
+     *
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @param {string} timeStr - Time in HH:MM format
+     * @param {Array} existingBookings - Bookings around the date (from scheduleBookingsForDate)
+     * @param {object} proposedTrip - Trip being booked {pickup, destination} (optional)
+     * @returns {boolean} - True if there's a conflict
+     */
+    function hasTimeConflict(dateStr, timeStr, existingBookings, proposedTrip) {
+        const [hours, minutes] = timeStr.split(':').map(Number);
+        const proposedTimeMinutes = hours * 60 + minutes;
+
+        return countBusyVehicles(proposedTimeMinutes, existingBookings, proposedTrip) >= getVehicleCount();
+    }
+
+    /**
+     * Split a day into segments by number of busy vehicles
+     * Each segment is a run of pickup times with the same countBusyVehicles().
+     * The count can only change where the proposed ride's window starts or ends
+     * at a booking's start or end, so it's taken between those points.
+     * Only segments with at least one busy vehicle are returned; adjacent
+     * segments with the same count are merged. Segments are worked out across
+     * midnight and then clipped to the day: actualStart/actualEnd keep the
+     * unclipped times (negative for the previous day, past 1440 for the next).
+     *
+     * @param {Array} bookings - Bookings around the date (from scheduleBookingsForDate)
+     * @param {object} proposedTrip - Trip being booked (optional)
+     * @returns {Array} - [{start, end, actualStart, actualEnd, busy, full}] in minutes since midnight
+     */
+    function getOccupancySegments(bookings, proposedTrip) {
+        const proposed = getRideDuration(proposedTrip);
+        const breakpoints = [];
+
+        bookings.forEach(function(booking) {
+            const busy = getBusyWindow(booking);
+            [busy.start, busy.end].forEach(function(edge) {
+                breakpoints.push(edge - proposed.tailMinutes, edge + proposed.leadMinutes);
+            });
+        });
+
+        breakpoints.sort(function(a, b) {
+            return a - b;
+        });
+
+        const vehicleCount = getVehicleCount();
+        const segments = [];
+
+        for (let i = 1; i < breakpoints.length; i++) {
+            const start = breakpoints[i - 1];
+            const end = breakpoints[i];
+            if (end === start) {
+                continue;
+            }
+
+            const busy = Math.min(countBusyVehicles((start + end) / 2, bookings, proposedTrip), vehicleCount);
+            if (busy === 0) {
+                continue;
+            }
+
+            const last = segments[segments.length - 1];
+            if (last && last.end === start && last.busy === busy) {
+                last.end = end;
+            } else {
+                segments.push({
+                    start: start,
+                    end: end,
+                    busy: busy,
+                    full: busy >= vehicleCount
+                });
+            }
+        }
+
+        return segments.filter(function(segment) {
+            return segment.end > 0 && segment.start < MINUTES_PER_DAY;
+        }).map(function(segment) {
+            return {
+                start: Math.max(0, segment.start),
+                end: Math.min(MINUTES_PER_DAY, segment.end),
+                actualStart: segment.start,
+                actualEnd: segment.end,
+                busy: segment.busy,
+                full: segment.full
+            };
+        });
+    }
+
+    /**
+     * How much of a day can still be booked
+     * A minute is bookable when it's outside every unavailable range (closed hours,
+     * minimum notice) and at least one vehicle is free, using the same blocked ranges
+     * as conflict checks.
+     *
+     * @param {Array} bookings - Bookings around the date (from scheduleBookingsForDate)
+     * @param {object} proposedTrip - Trip being booked (optional)
+     * @param {Array} unavailableRanges - [{start, end}] minutes that can't be booked regardless of bookings (optional)
+     * @returns {object} - {openMinutes, bookableMinutes}
+     */
+    function getBookableMinutes(bookings, proposedTrip, unavailableRanges) {
+        /**
+         * Total length of a set of ranges, clipped to the day with overlaps counted once
+         */
+        function coveredMinutes(ranges) {
+            const sorted = ranges.map(function(range) {
+                return { start: Math.max(0, range.start), end: Math.min(MINUTES_PER_DAY, range.end) };
+            }).filter(function(range) {
+                return range.end > range.start;
+            }).sort(function(a, b) {
+                return a.start - b.start;
+            });
+
+            let total = 0;
+            let coveredUntil = 0;
+            sorted.forEach(function(range) {
+                const start = Math.max(range.start, coveredUntil);
+                if (range.end > start) {
+                    total += range.end - start;
+                    coveredUntil = range.end;
+                }
+            });
+            return total;
+        }
+
+        const unavailable = unavailableRanges || [];
+        const fullSegments = getOccupancySegments(bookings, proposedTrip).filter(function(segment) {
+            return segment.full;
+        });
+
+        return {
+            openMinutes: MINUTES_PER_DAY - coveredMinutes(unavailable),
+            bookableMinutes: MINUTES_PER_DAY - coveredMinutes(unavailable.concat(fullSegments))
+        };
+    }
+
+    // =================================================================
+    // BOOKING VALIDATION
+    // =================================================================
+
+    /**
+     * Convert bookings from the API into the shape used for conflict checks
+     * Bookings from the day before and the day after are included, since a late
+     * ride can keep a vehicle busy past midnight and an early one needs the
+     * vehicle from the evening before. dayOffset places each booking relative
+     * to the requested date (-1, 0 or 1).
+     *
+     * @param {Array} bookings - Raw bookings from the API
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @returns {Array} - [{date, dayOffset, hours, minutes, trip}] around that date
+     */
+    function scheduleBookingsForDate(bookings, dateStr) {
+        const storage = window.MidnightExpress.storage;
+        const addDays = window.MidnightExpress.recurrence.addDays;
+        const dayOffsets = {};
+        dayOffsets[addDays(dateStr, -1)] = -1;
+        dayOffsets[dateStr] = 0;
+        dayOffsets[addDays(dateStr, 1)] = 1;
+
+        return bookings.filter(function(booking) {
+            return dayOffsets.hasOwnProperty(booking.date);
+        }).map(function(booking) {
+            const time = storage.parseBookingTime(booking.time);
+            return {
+                date: booking.date,
+                dayOffset: dayOffsets[booking.date],
+                hours: time.hours,
+                minutes: time.minutes,
+                trip: {
+                    pickup: booking.pickupAddress,
+                    destination: booking.destinationAddress,
+                    stops: (booking.stops || []).map(function(stop) {
+                        return stop.address;
+                    })
+                }
+            };
+        });
+    }
+
+    /**
+     * Validate a pickup date/time against the advance notice rule and existing bookings
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @param {string} timeStr - Time in HH:MM format
+     * @param {Array} bookings - Bookings around that date (from scheduleBookingsForDate)
+     * @param {object} trip - Trip being booked {pickup, destination} (optional)
+     * @param {Array} allBookings - Raw bookings from the API; when given, a conflict also returns nearby open slots (optional)
+     * @returns {object} - {valid: boolean, error: string, suggestions: {before, after} (conflicts only, see findOpenSlots())}
+     */
+    function validateBookingTime(dateStr, timeStr, bookings, trip, allBookings) {
+        if (!dateStr || !timeStr) {
+            return {
+                valid: false,
+                error: 'Please select both date and time'
+            };
+        }
+
+        // Check if in the past (pickup times are New York wall time)
+        const selectedDateTime = window.MidnightExpress.datetime.toInstant(dateStr, timeStr);
+        const now = new Date();
+
+        if (selectedDateTime < now) {
+            return {
+                valid: false,
+                error: 'Pickup time cannot be in the past'
+            };
+        }
+
+        // Check minimum advance (3 hours)
+        const minDateTime = new Date(now.getTime() + (MIN_ADVANCE_HOURS * 60 * 60 * 1000));
+        if (selectedDateTime < minDateTime) {
+            return {
+                valid: false,
+                error: 'Please book at least 3 hours in advance. For urgent bookings, call (980) 422-9125'
+            };
+        }
+
+        // Check operating hours, holidays and vacations
+        const schedule = window.MidnightExpress.schedule;
+        const hours = schedule ? schedule.checkPickupTime(dateStr, timeStr) : { valid: true };
+        if (!hours.valid) {
+            return hours;
+        }
+
+        // Check booking conflicts
+        if (hasTimeConflict(dateStr, timeStr, bookings, trip)) {
+            return {
+                valid: false,
+                error: 'This time slot is not available (conflicts with existing booking). Please choose a different time.',
+                suggestions: allBookings ? findOpenSlots(allBookings, dateStr, timeStr, trip) : null
+            };
+        }
+
+        return {
+            valid: true,
+            error: ''
+        };
+    }
+
+    // =================================================================
+    // OPEN SLOT SEARCH
+    // =================================================================
+
+    /**
+     * Format minutes since midnight as "HH:MM"
+     * @param {number} totalMinutes - Minutes since midnight
+     * @returns {string}
+     */
+    function formatClock(totalMinutes) {
+        return String(Math.floor(totalMinutes / 60)).padStart(2, '0') + ':' + String(totalMinutes % 60).padStart(2, '0');
+    }
+
+    /**
+     * Find open pickup slots around a requested time
+     * Walking back through the same day collects the latest slot of each earlier free
+     * window; walking forward (into the following days) collects the first slot of each
+     * later free window, starting with the requested time itself. A slot is open when it
+     * passes validateBookingTime() (notice, operating hours and conflicts).
+     *
+     * @param {Array} allBookings - Raw bookings from the API
+     * @param {string} dateStr - Requested date in YYYY-MM-DD format
+     * @param {string} timeStr - Requested time in HH:MM or HH:MM:SS format
+     * @param {object} trip - Trip being booked {pickup, destination, stops} (optional)
+     * @param {object} limits - {before, after} slots to return (optional, default 2 before and 3 after)
+     * @returns {object} - {before: [{date, time}], after: [{date, time}]}, nearest first, time as "HH:MM"
+     */
+    function findOpenSlots(allBookings, dateStr, timeStr, trip, limits) {
+        const wanted = Object.assign({ before: 2, after: 3 }, limits);
+        const bookingsByDate = {};
+
+        function isOpen(date, minutes) {
+            if (!bookingsByDate[date]) {
+                bookingsByDate[date] = scheduleBookingsForDate(allBookings, date);
+            }
+            return validateBookingTime(date, formatClock(minutes), bookingsByDate[date], trip).valid;
+        }
+
+        const [hours, minutes] = timeStr.split(':').map(Number);
+        const requested = Math.floor((hours * 60 + minutes) / SLOT_STEP_MINUTES) * SLOT_STEP_MINUTES;
+        const before = [];
+        const after = [];
+        let wasOpen = false;
+
+        for (let slot = requested - SLOT_STEP_MINUTES; slot >= 0 && before.length < wanted.before; slot -= SLOT_STEP_MINUTES) {
+            const open = isOpen(dateStr, slot);
+            if (open && !wasOpen) {
+                before.push({ date: dateStr, time: formatClock(slot) });
+            }
+            wasOpen = open;
+        }
+
+        wasOpen = false;
+        for (let day = 0; day <= SLOT_SEARCH_DAYS && after.length < wanted.after; day++) {
+            const date = window.MidnightExpress.recurrence.addDays(dateStr, day);
+            for (let slot = day === 0 ? requested : 0; slot < MINUTES_PER_DAY && after.length < wanted.after; slot += SLOT_STEP_MINUTES) {
+                const open = isOpen(date, slot);
+                if (open && !wasOpen) {
+                    after.push({ date: date, time: formatClock(slot) });
+                }
+                wasOpen = open;
+            }
+        }
+
+        return {
+            before: before,
+            after: after
+        };
+    }
+
+    /**
+     * Clickable chips for open slots near a taken time, shared by the booking
+     * form and the manage booking view. Each chip is a button.slot-suggestion
+     * with data-date and data-time for the page to fill its own fields.
+     *
+     * @param {object} suggestions - {before, after} from findOpenSlots()
+     * @param {string} requestedDate - Date that was asked for (other dates are labelled with the day)
+     * @returns {string} - HTML, or '' when there are no open slots
+     */
+    function buildSlotChips(suggestions, requestedDate) {
+        const slots = suggestions.before.slice().reverse().concat(suggestions.after);
+        if (slots.length === 0) {
+            return '';
+        }
+
+        return '<div class="slot-suggestions"><span>Open times nearby:</span> ' + slots.map(function(slot) {
+            const [hours, minutes] = slot.time.split(':').map(Number);
+            const label = (slot.date === requestedDate ? '' : new Date(slot.date + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'short', month: 'numeric', day: 'numeric' }) + ' ') +
+                          (hours % 12 || 12) + ':' + String(minutes).padStart(2, '0') + ' ' + (hours >= 12 ? 'PM' : 'AM');
+            return '<button type="button" class="btn btn-default btn-xs slot-suggestion" data-date="' + slot.date + '" data-time="' + slot.time + '">' + label + '</button>';
+        }).join(' ') + '</div>';
+    }
+
+    /**
+     * Pickup time for a return flight: landing time plus the deplaning allowance
+     * @param {string} landingDate - Landing date in YYYY-MM-DD format
+     * @param {string} landingTime - Landing time in HH:MM or HH:MM:SS format
+     * @returns {object} - {date: 'YYYY-MM-DD', time: 'HH:MM:SS'} (rolls over to the next day after late landings)
+     */
+    function getReturnPickup(landingDate, landingTime) {
+        const [year, month, day] = landingDate.split('-').map(Number);
+        const [hours, minutes] = landingTime.split(':').map(Number);
+        const pickup = new Date(Date.UTC(year, month - 1, day, hours, minutes + DEPLANING_MINUTES));
+
+        return {
+            date: pickup.toISOString().split('T')[0],
+            time: pickup.toISOString().slice(11, 19)
+        };
+    }
+
+    /**
+     * Suggested pickup for a departing flight: departure time minus the airport
+     * arrival lead and the drive there, rounded down to the 5 minute picker step
+     *
+     * @param {string} departureDate - Departure date in YYYY-MM-DD format
+     * @param {string} departureTime - Departure time in HH:MM or HH:MM:SS format
+     * @param {object} trip - Trip to the airport {pickup, destination, stops}
+     * @param {boolean} international - Whether the flight is international
+     * @returns {object} - {date: 'YYYY-MM-DD', time: 'HH:MM:SS', arrivalLeadMinutes, driveMinutes, estimated} (estimated when an address couldn't be placed)
+     */
+    function getSuggestedPickup(departureDate, departureTime, trip, international) {
+        const route = getRouteMinutes(trip);
+        const stops = (trip && trip.stops) || [];
+        const driveMinutes = route ? route.ride : DEFAULT_DRIVE_MINUTES + stops.length * DEFAULT_STOP_MINUTES;
+        const arrivalLeadMinutes = AIRPORT_ARRIVAL_LEAD_MINUTES[international ? 'international' : 'domestic'];
+
+        const [year, month, day] = departureDate.split('-').map(Number);
+        const [hours, minutes] = departureTime.split(':').map(Number);
+        const pickupMinutes = Math.floor((hours * 60 + minutes - arrivalLeadMinutes - driveMinutes) / 5) * 5;
+        const pickup = new Date(Date.UTC(year, month - 1, day, 0, pickupMinutes));
+
+        return {
+            date: pickup.toISOString().split('T')[0],
+            time: pickup.toISOString().slice(11, 19),
+            arrivalLeadMinutes: arrivalLeadMinutes,
+            driveMinutes: driveMinutes,
+            estimated: !route
+        };
+    }
+
+    window.MidnightExpress = window.MidnightExpress || {};
+    window.MidnightExpress.availability = {
+        DEPLANING_MINUTES: DEPLANING_MINUTES,
+        AIRPORT_ARRIVAL_LEAD_MINUTES: AIRPORT_ARRIVAL_LEAD_MINUTES,
+        FLEET: FLEET,
+        getVehicleCount: getVehicleCount,
+        getMaxVehicleCapacity: getMaxVehicleCapacity,
+        describeFreeVehicles: describeFreeVehicles,
+        getRouteMinutes: getRouteMinutes,
+        getRideDuration: getRideDuration,
+        getBlockedRange: getBlockedRange,
+        countBusyVehicles: countBusyVehicles,
+        hasTimeConflict: hasTimeConflict,
+        getOccupancySegments: getOccupancySegments,
+        getBookableMinutes: getBookableMinutes,
+        scheduleBookingsForDate: scheduleBookingsForDate,
+        validateBookingTime: validateBookingTime,
+        formatClock: formatClock,
+        findOpenSlots: findOpenSlots,
+        buildSlotChips: buildSlotChips,
+        getReturnPickup: getReturnPickup,
+        getSuggestedPickup: getSuggestedPickup
+    };
+
+})(window);
@@ -4,7 +4,19 @@
  * Enhanced booking system with:
  * - Real-time booking conflict detection
  * - 24-hour timeline visualization
- * - Google Sheets integration
+ * - Pluggable booking storage (Google Sheets or the bundled REST server)
+ * - Offline queue that retries bookings that couldn't be sent
+ * - Duplicate guard against the same ride being requested twice
+ * - Recurring rides expanded into individual bookings
+ * - Multi-stop itineraries with per-stop passenger counts
+ * - Return flight schedule lookup with landing time pre-fill
+ * - Airline recognition and flight number normalization
+ * - Suggested pickup times for departing flights
+ * - Week and month availability calendar
+ * - Interactive pickup timeline (click, drag, hover and arrow keys)
+ * - Nearby open time suggestions when a pickup time is taken
+ * - Drafts saved while typing, offered back after a reload
+ * - Opt-in "remember me" profile with saved addresses
  * - Comprehensive validation matching Google Form
  */
 
@@ -16,39 +28,111 @@
     // =================================================================
 
     /**
-     * URL to fetch existing bookings from Google Apps Script
-     * Returns booking data including airportFlight field
+     * Cached bookings data
      */
-    const BOOKINGS_API_URL = 'https://script.google.com/macros/s/AKfycbyzD03cKqcnv4SIJ1n_Pt7jDbVQkJt5oR0yvXokdVpbyO7JqMQ3Px0UkbfkJLvdDRyf/exec';
+    let cachedBookings = [];
+    let lastFetchTime = null;
+    const CACHE_DURATION_MS = 60000; // 1 minute
 
     /**
-     * Google Form submission URL (from the form action)
+     * Most intermediate stops one ride can make
      */
-    const GOOGLE_FORM_URL = 'https://docs.google.com/forms/d/e/1FAIpQLSelLJ8Yqj8jHXreIB3DW8MvsBUtHea8DB7UTjyaYkM3Q2RbTA/formResponse';
+    const MAX_STOPS = 3;
 
     /**
-     * Booking buffer rules:
-     * - Each ride takes 2 hours total (starting 15 min before pickup)
-     * - Block from 2 hours BEFORE pickup time (allows previous ride to complete)
-     * - Block until 1 hour 45 minutes AFTER pickup time
-     * Total blocked window: 3 hours 45 minutes
+     * How far before a taken suggested pickup an earlier open slot may be offered
      */
-    const BUFFER_BEFORE_MINUTES = 120; // 2h
-    const BUFFER_AFTER_MINUTES = 105; // 1h 45m
+    const SUGGESTION_SEARCH_MINUTES = 60;
 
     /**
-     * Cached bookings data
+     * Rides of a recurring series sent at the same time, so a long series
+     * doesn't hit the booking service (and the Google Form) all at once
      */
-    let cachedBookings = [];
-    let lastFetchTime = null;
-    const CACHE_DURATION_MS = 60000; // 1 minute
+    const SERIES_SUBMIT_CONCURRENCY = 2;
+
+    /**
+     * Fingerprint of a repeat ride the customer chose to submit anyway
+     */
+    let allowedDuplicateFingerprint = null;
+
+    /**
+     * Form fields kept in a booking draft (by element ID); stops, radios and
+     * the picker dates are saved separately
+     */
+    const DRAFT_VALUE_FIELDS = [
+        'booking-name', 'booking-phone', 'booking-email', 'booking-passengers', 'booking-other-text',
+        'booking-pickup', 'booking-destination', 'booking-departure-flight', 'booking-flight', 'booking-notes',
+        'recurrence-frequency', 'recurrence-interval', 'recurrence-count', 'recurrence-until'
+    ];
+    const DRAFT_CHECKBOXES = [
+        'booking-wheelchair', 'booking-carseat', 'booking-other-requirement', 'airport-trip-yes', 'airport-trip-no',
+        'booking-checking-bags', 'booking-international', 'booking-round-trip', 'booking-repeat'
+    ];
+
+    /**
+     * Wait after the last keystroke before saving the draft
+     */
+    const DRAFT_SAVE_DELAY_MS = 1000;
+
+    /**
+     * Draft saving: pending save, whether the customer has changed the form,
+     * and whether the "Resume your booking?" offer is still unanswered
+     */
+    let draftSaveTimer = null;
+    let draftStarted = false;
+    let draftOfferOpen = false;
+
+    /**
+     * Shared modules (loaded before this file)
+     */
+    const Quote = window.MidnightExpress.quote;
+    const ServiceAreas = window.MidnightExpress.serviceAreas;
+    const Availability = window.MidnightExpress.availability;
+    const Storage = window.MidnightExpress.storage;
+    const SubmissionQueue = window.MidnightExpress.submissionQueue;
+    const DuplicateGuard = window.MidnightExpress.duplicateGuard;
+    const Recurrence = window.MidnightExpress.recurrence;
+    const FlightInfo = window.MidnightExpress.flightInfo;
+    const Airlines = window.MidnightExpress.airlines;
+    const Schedule = window.MidnightExpress.schedule;
+    const DateTime = window.MidnightExpress.datetime;
+    const Timeline = window.MidnightExpress.timeline;
+    const CalendarLinks = window.MidnightExpress.calendarLinks;
+    const BookingDraft = window.MidnightExpress.bookingDraft;
+    const CustomerProfile = window.MidnightExpress.customerProfile;
+
+    /**
+     * Storage adapter for this page (Google Sheets by default, ?backend=rest for the local server)
+     */
+    const bookingStore = Storage.getAdapter();
+
+    /**
+     * Flight schedule lookups for return flights (none by default; ?flights=fixture or ?flights=http)
+     */
+    const flightProvider = FlightInfo.getProvider();
+
+    /**
+     * Flight/date whose scheduled arrival has already been filled in, so later edits are only warned about
+     */
+    let prefilledFlightKey = null;
+
+    /**
+     * Availability calendar state: 'week' or 'month', and the first day shown (YYYY-MM-DD)
+     */
+    let calendarView = 'week';
+    let calendarStart = null;
+
+    /**
+     * Interactive pickup timeline (created once the form is initialized)
+     */
+    let pickupTimeline = null;
 
     // =================================================================
     // BOOKING DATA MANAGEMENT
     // =================================================================
 
     /**
-     * Fetch bookings from Google Apps Script endpoint
+     * Fetch bookings from the active storage adapter
      * @returns {Promise<Array>} - Array of booking objects
      */
     async function fetchBookings() {
@@ -57,95 +141,114 @@
             return Promise.resolve(cachedBookings);
         }
 
-        return new Promise(function(resolve, reject) {
-            $.ajax({
-                url: BOOKINGS_API_URL,
-                method: 'GET',
-                dataType: 'json',
-                cache: false,
-                success: function(bookings) {
-                    console.log('Fetched bookings:', bookings);
-                    cachedBookings = bookings;
-                    lastFetchTime = Date.now();
-                    resolve(bookings);
-                },
-                error: function(xhr, status, error) {
-                    console.error('Error fetching bookings:', status, error);
-                    console.warn('Using cached or empty booking data');
-                    // Return cached data as fallback, or empty array
-                    resolve(cachedBookings.length > 0 ? cachedBookings : []);
-                }
-            });
-        });
+        try {
+            const bookings = await bookingStore.listBookings();
+            console.log('Fetched bookings:', bookings);
+            cachedBookings = bookings;
+            lastFetchTime = Date.now();
+            return bookings;
+        } catch (error) {
+            console.error(error.message);
+            console.warn('Using cached or empty booking data');
+            // Return cached data as fallback, or empty array
+            return cachedBookings.length > 0 ? cachedBookings : [];
+        }
     }
 
     /**
-     * Parse booking time from the weird Google Sheets format
-     * Time comes as: "1899-12-30T15:17:11.000Z"
-     * We only care about the time portion (15:17)
-     *
-     * @param {string} timeStr - Time string from API
-     * @returns {object} - {hours: number, minutes: number}
+     * Get all bookings for a specific date
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @returns {Promise<Array>} - Array of bookings for that date
      */
-    function parseBookingTime(timeStr) {
-        const date = new Date(timeStr);
+    async function getBookingsForDate(dateStr) {
+        const allBookings = await fetchBookings();
+        return Availability.scheduleBookingsForDate(allBookings, dateStr);
+    }
+
+    /**
+     * Trip currently entered on the form (used to size blocked windows)
+     * @returns {object} - {pickup, destination, stops}
+     */
+    function getOutboundTrip() {
         return {
-            hours: date.getUTCHours(),
-            minutes: date.getUTCMinutes()
+            pickup: $('#booking-pickup').val().trim(),
+            destination: $('#booking-destination').val().trim(),
+            stops: getStops().map(stop => stop.address).filter(Boolean)
         };
     }
 
     /**
-     * Get all bookings for a specific date
-     * @param {string} dateStr - Date in YYYY-MM-DD format
-     * @returns {Promise<Array>} - Array of bookings for that date
+     * Return leg of the trip on the form (addresses swapped, stops in reverse)
+     * @returns {object} - {pickup, destination, stops}
      */
-    async function getBookingsForDate(dateStr) {
-        const allBookings = await fetchBookings();
+    function getReturnTrip() {
+        const outbound = getOutboundTrip();
+        return {
+            pickup: outbound.destination,
+            destination: outbound.pickup,
+            stops: outbound.stops.slice().reverse()
+        };
+    }
 
-        return allBookings.filter(function(booking) {
-            return booking.date === dateStr;
-        }).map(function(booking) {
-            const time = parseBookingTime(booking.time);
+    // =================================================================
+    // INTERMEDIATE STOPS
+    // =================================================================
+
+    /**
+     * Read the stops entered on the form, in order
+     * @returns {Array} - [{address, passengers}]
+     */
+    function getStops() {
+        return $('#booking-stops .booking-stop').map(function() {
             return {
-                date: booking.date,
-                hours: time.hours,
-                minutes: time.minutes
+                address: $(this).find('.stop-address').val().trim(),
+                passengers: parseInt($(this).find('.stop-passengers').val(), 10) || 0
             };
-        });
+        }).get();
     }
 
     /**
-     * Calculate blocked time ranges for a booking
-     * @param {number} hours - Booking hour (0-23)
-     * @param {number} minutes - Booking minute (0-59)
-     * @returns {object} - {startMinutes: number, endMinutes: number} (minutes since midnight)
+     * Everyone riding: the party at the pickup plus everyone joining at a stop
+     * @returns {number}
      */
-    function getBlockedRange(hours, minutes) {
-        const bookingTimeMinutes = hours * 60 + minutes;
-
-        return {
-            startMinutes: bookingTimeMinutes - BUFFER_BEFORE_MINUTES,
-            endMinutes: bookingTimeMinutes + BUFFER_AFTER_MINUTES
-        };
+    function getTotalPassengers() {
+        return countRiders({
+            passengers: $('#booking-passengers').val(),
+            stops: getStops()
+        });
     }
 
     /**
-     * Check if a proposed time conflicts with existing bookings
-     * @param {string} dateStr - Date in YYYY-MM-DD format
-     * @param {string} timeStr - Time in HH:MM format
-     * @param {Array} existingBookings - Array of bookings for the date
-     * @returns {boolean} - True if there's a conflict
+     * Add an empty stop row
      */
-    function hasTimeConflict(dateStr, timeStr, existingBookings) {
-        const [hours, minutes] = timeStr.split(':').map(Number);
-        const proposedTimeMinutes = hours * 60 + minutes;
+    function addStop() {
+        $('#booking-stops').append(
+            '<div class="row booking-stop">' +
+            '<div class="form-group col-xs-7">' +
+            '<label class="stop-label" style="display: block; font-weight: bold; margin-bottom: 5px;"></label>' +
+            '<input type="text" class="form-control stop-address" placeholder="Address to pick up on the way" autocomplete="off" title="Enter the stop address">' +
+            '</div>' +
+            '<div class="form-group col-xs-3">' +
+            '<label style="display: block; font-weight: bold; margin-bottom: 5px;">Riders</label>' +
+            '<input type="number" class="form-control stop-passengers" min="1" value="1" title="Passengers joining at this stop">' +
+            '</div>' +
+            '<div class="form-group col-xs-2">' +
+            '<button type="button" class="btn btn-link remove-stop-btn" title="Remove this stop"><i class="fa fa-times"></i></button>' +
+            '</div>' +
+            '</div>'
+        );
+        updateStopControls();
+    }
 
-        return existingBookings.some(function(booking) {
-            const blocked = getBlockedRange(booking.hours, booking.minutes);
-            return proposedTimeMinutes >= blocked.startMinutes &&
-                   proposedTimeMinutes <= blocked.endMinutes;
+    /**
+     * Number the stop rows and hide "Add Stop" once the limit is reached
+     */
+    function updateStopControls() {
+        const $stops = $('#booking-stops .booking-stop');
+        $stops.each(function(index) {
+            $(this).find('.stop-label').text('Stop ' + (index + 1));
         });
+        $('#add-stop-btn').toggle($stops.length < MAX_STOPS);
     }
 
     // =================================================================
@@ -167,97 +270,12 @@
     }
 
     /**
-     * Build 24-hour continuous timeline visualization showing exact blocked periods
-     * @param {Array} bookings - Array of bookings for the selected date
-     * @returns {string} - HTML for timeline
+     * Escape text typed by a customer for use in HTML
+     * @param {*} value - Text to escape
+     * @returns {string}
      */
-    function buildTimeline(bookings) {
-        // Create blocked ranges for each booking
-        const blockedRanges = bookings.map(function(booking) {
-            var range = getBlockedRange(booking.hours, booking.minutes);
-            return {
-                start: Math.max(0, range.startMinutes),
-                end: Math.min(1440, range.endMinutes),
-                bookingTime: booking.hours * 60 + booking.minutes
-            };
-        });
-
-        // Sort by start time
-        blockedRanges.sort(function(a, b) {
-            return a.start - b.start;
-        });
-
-        // Merge overlapping ranges
-        const mergedRanges = [];
-        for (let i = 0; i < blockedRanges.length; i++) {
-            const current = blockedRanges[i];
-
-            // If mergedRanges is empty or current doesn't overlap with last merged range
-            if (mergedRanges.length === 0 || current.start > mergedRanges[mergedRanges.length - 1].end) {
-                mergedRanges.push({
-                    start: current.start,
-                    end: current.end
-                });
-            } else {
-                // Overlaps with last merged range, extend the end time
-                mergedRanges[mergedRanges.length - 1].end = Math.max(
-                    mergedRanges[mergedRanges.length - 1].end,
-                    current.end
-                );
-            }
-        }
-
-        // Build continuous timeline bar
-        let html = '<div style="position: relative; margin: 20px 0;">';
-
-        // Time labels at start and end
-        html += '<div style="display: flex; justify-content: space-between; margin-bottom: 5px; font-size: 11px; color: #666;">';
-        html += '<span>12:00 AM</span>';
-        html += '<span>12:00 PM</span>';
-        html += '<span>11:59 PM</span>';
-        html += '</div>';
-
-        // Main timeline bar (full 24 hours = 1440 minutes)
-        html += '<div style="position: relative; height: 40px; background: #27AE60; border-radius: 4px; overflow: visible;">';
-
-        // Overlay merged blocked periods
-        mergedRanges.forEach(function(range) {
-            var startPercent = (range.start / 1440) * 100;
-            var widthPercent = ((range.end - range.start) / 1440) * 100;
-
-            var startHours = Math.floor(range.start / 60);
-            var startMinutes = range.start % 60;
-            var endHours = Math.floor(range.end / 60);
-            var endMinutes = range.end % 60;
-
-            // Convert to 12-hour format with AM/PM
-            var startAmPm = startHours >= 12 ? 'PM' : 'AM';
-            var startDisplay = (startHours % 12) || 12;
-            var startTime = startDisplay + ':' + (startMinutes < 10 ? '0' : '') + startMinutes + ' ' + startAmPm;
-
-            var endAmPm = endHours >= 12 ? 'PM' : 'AM';
-            var endDisplay = (endHours % 12) || 12;
-            var endTime = endDisplay + ':' + (endMinutes < 10 ? '0' : '') + endMinutes + ' ' + endAmPm;
-
-            // Blocked period bar with times inside
-            html += '<div style="position: absolute; left: ' + startPercent + '%; width: ' + widthPercent + '%; height: 100%; background: #d9534f; border-radius: 2px; display: flex; flex-direction: column; align-items: center; justify-content: center; color: white; font-size: 11px; font-weight: bold; line-height: 1.2;">';
-            html += '<span>' + startTime + '</span>';
-            html += '<span style="line-height: 0.2;">-</span>';
-            html += '<span>' + endTime + '</span>';
-            html += '</div>';
-        });
-
-        html += '</div>';
-
-        html += '</div>';
-
-        // Legend
-        html += '<div style="display: flex; gap: 20px; margin-top: 10px; font-size: 12px; justify-content: center;">';
-        html += '<div><span style="display: inline-block; width: 15px; height: 15px; background: #27AE60; border-radius: 2px; vertical-align: middle; margin-right: 5px;"></span>Available</div>';
-        html += '<div><span style="display: inline-block; width: 15px; height: 15px; background: #d9534f; border-radius: 2px; vertical-align: middle; margin-right: 5px;"></span>Unavailable</div>';
-        html += '</div>';
-
-        return html;
+    function escapeHtml(value) {
+        return $('<div>').text(value === undefined || value === null ? '' : String(value)).html();
     }
 
     /**
@@ -271,6 +289,45 @@
         return date.toLocaleDateString('en-US', options);
     }
 
+    /**
+     * Selected pickup time on the form, if it's on a given date
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @returns {number|null} - Minutes since midnight
+     */
+    function getSelectedPickupMinutes(dateStr) {
+        const timeStr = $('#booking-time').val();
+        if (!timeStr || $('#booking-date').val() !== dateStr) {
+            return null;
+        }
+        const time = Storage.parseBookingTime(timeStr);
+        return time.hours * 60 + time.minutes;
+    }
+
+    /**
+     * Whether a time on the selected pickup date can be booked (for the interactive timeline)
+     * @param {number} minutes - Minutes since midnight
+     * @returns {boolean}
+     */
+    function isPickupBookable(minutes) {
+        const dateStr = $('#booking-date').val();
+        const bookings = Availability.scheduleBookingsForDate(cachedBookings, dateStr);
+        return Availability.validateBookingTime(dateStr, Availability.formatClock(minutes), bookings, getOutboundTrip()).valid;
+    }
+
+    /**
+     * Limit a date picker's time range to the operating hours of its selected date
+     * @param {object} instance - Flatpickr instance
+     * @param {Date} date - Selected date (optional)
+     */
+    function applyOperatingHours(instance, date) {
+        const hours = date ? Schedule.getHoursForDate(Schedule.toDateKey(date)) : null;
+        const open = hours ? hours.openMinutes : 0;
+        const close = hours ? Math.min(hours.closeMinutes - 5, 1435) : 1435; // Last 5 minute slot before closing
+
+        instance.set('minTime', Availability.formatClock(open));
+        instance.set('maxTime', Availability.formatClock(close));
+    }
+
     /**
      * Update timeline when date changes (uses cached bookings data)
      * @param {string} dateStr - Date in YYYY-MM-DD format
@@ -288,23 +345,21 @@
         $('#timeline-container').slideDown();
 
         // Filter cached bookings for this date (no network call)
-        const bookings = cachedBookings.filter(function(booking) {
-            return booking.date === dateStr;
-        }).map(function(booking) {
-            const time = parseBookingTime(booking.time);
-            return {
-                date: booking.date,
-                hours: time.hours,
-                minutes: time.minutes
-            };
-        });
+        const bookings = Availability.scheduleBookingsForDate(cachedBookings, dateStr);
+
+        // Bookings from the days either side only count if they reach into this one
+        const hasBusyTimes = Availability.getOccupancySegments(bookings, getOutboundTrip()).length > 0;
 
-        if (bookings.length === 0) {
-            $('#timeline-instruction').hide();
-            $('#timeline-visual').html('<p style="text-align: center; color: #27AE60; font-weight: bold;">All times available!</p>');
+        // Always draw the bar so a time can be picked from it
+        const allAvailable = !hasBusyTimes && Schedule.getClosedRanges(dateStr).length === 0;
+        const html = (allAvailable ? '<p style="text-align: center; color: #27AE60; font-weight: bold;">All times available!</p>' : '') +
+                     Timeline.buildTimeline(bookings, getOutboundTrip(), dateStr);
+
+        $('#timeline-instruction').toggle(hasBusyTimes);
+        if (pickupTimeline) {
+            pickupTimeline.render(html, getSelectedPickupMinutes(dateStr));
         } else {
-            $('#timeline-instruction').show();
-            $('#timeline-visual').html(buildTimeline(bookings));
+            $('#timeline-visual').html(html);
         }
 
         // Pass bookings to callback for caching
@@ -328,29 +383,166 @@
         $('#return-timeline-container').slideDown();
 
         // Filter cached bookings for this date (no network call)
-        const bookings = cachedBookings.filter(function(booking) {
-            return booking.date === dateStr;
-        }).map(function(booking) {
-            const time = parseBookingTime(booking.time);
-            return {
-                date: booking.date,
-                hours: time.hours,
-                minutes: time.minutes
-            };
-        });
+        const bookings = Availability.scheduleBookingsForDate(cachedBookings, dateStr);
 
-        if (bookings.length === 0) {
+        // Bookings from the days either side only count if they reach into this one
+        const hasBusyTimes = Availability.getOccupancySegments(bookings, getReturnTrip()).length > 0;
+
+        if (!hasBusyTimes && Schedule.getClosedRanges(dateStr).length === 0) {
             $('#return-timeline-instruction').hide();
             $('#return-timeline-visual').html('<p style="text-align: center; color: #27AE60; font-weight: bold;">All times available!</p>');
         } else {
-            $('#return-timeline-instruction').show();
-            $('#return-timeline-visual').html(buildTimeline(bookings));
+            $('#return-timeline-instruction').toggle(hasBusyTimes);
+            $('#return-timeline-visual').html(Timeline.buildTimeline(bookings, getReturnTrip(), dateStr));
         }
 
         // Pass bookings to callback for caching
         if (callback) callback(bookings);
     }
 
+    /**
+     * Redraw whichever timelines are showing (e.g. after the route changes)
+     */
+    function refreshVisibleTimelines() {
+        if ($('#timeline-container').is(':visible')) {
+            updateTimeline($('#booking-date').val());
+        }
+        if ($('#return-timeline-container').is(':visible')) {
+            updateReturnTimeline($('#booking-return-date').val());
+        }
+        if ($('#availability-calendar-container').is(':visible')) {
+            renderAvailabilityCalendar();
+        }
+    }
+
+    // =================================================================
+    // AVAILABILITY CALENDAR
+    // =================================================================
+
+    /**
+     * How much of a day is still bookable for the trip on the form
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @param {object} trip - Trip being booked
+     * @returns {object} - {level: 'open'|'limited'|'busy'|'full'|'closed'|'unavailable', bookableMinutes}
+     */
+    function getDayAvailability(dateStr, trip) {
+        const today = DateTime.getTodayKey();
+        const lastBookable = Recurrence.addDays(today, Recurrence.RECURRENCE_LIMITS.bookingWindowDays);
+        if (dateStr < today || dateStr > lastBookable) {
+            return { level: 'unavailable', bookableMinutes: 0 };
+        }
+
+        const unavailable = Schedule.getClosedRanges(dateStr);
+        if (unavailable.length === 1 && unavailable[0].start === 0 && unavailable[0].end >= 1440) {
+            return { level: 'closed', bookableMinutes: 0 };
+        }
+
+        // Today: nothing before the minimum notice
+        if (dateStr === today) {
+            const earliest = calculateSimpleDefaultTime(new Date());
+            unavailable.push({
+                start: 0,
+                end: Schedule.toDateKey(earliest) === today ? earliest.getHours() * 60 + earliest.getMinutes() : 1440
+            });
+        }
+
+        const day = Availability.getBookableMinutes(Availability.scheduleBookingsForDate(cachedBookings, dateStr), trip, unavailable);
+        const share = day.openMinutes > 0 ? day.bookableMinutes / day.openMinutes : 0;
+        let level = 'full';
+        if (day.bookableMinutes > 0) {
+            level = share >= 0.75 ? 'open' : share >= 0.25 ? 'limited' : 'busy';
+        }
+
+        return { level: level, bookableMinutes: day.bookableMinutes };
+    }
+
+    /**
+     * Describe a day's bookable time for its calendar cell, e.g. "18h free"
+     * @param {object} availability - From getDayAvailability()
+     * @returns {string}
+     */
+    function describeDayAvailability(availability) {
+        if (availability.level === 'closed') return 'Closed';
+        if (availability.level === 'unavailable') return '';
+        if (availability.level === 'full') return 'Full';
+
+        const hours = Math.floor(availability.bookableMinutes / 60);
+        return hours > 0 ? hours + 'h free' : availability.bookableMinutes + 'm free';
+    }
+
+    /**
+     * Render the week or month availability calendar from cached bookings
+     */
+    function renderAvailabilityCalendar() {
+        const selectedDate = $('#booking-date').val();
+        const trip = getOutboundTrip();
+        let firstDay = calendarStart;
+        let lastDay;
+        let title;
+
+        if (calendarView === 'month') {
+            const monthStart = calendarStart.slice(0, 8) + '01';
+            const nextMonth = new Date(monthStart + 'T00:00:00');
+            nextMonth.setMonth(nextMonth.getMonth() + 1);
+            const monthEnd = Recurrence.addDays(Schedule.toDateKey(nextMonth), -1);
+
+            firstDay = Recurrence.addDays(monthStart, -Recurrence.getWeekday(monthStart));
+            lastDay = Recurrence.addDays(monthEnd, 6 - Recurrence.getWeekday(monthEnd));
+            title = new Date(monthStart + 'T00:00:00').toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        } else {
+            lastDay = Recurrence.addDays(firstDay, 6);
+            title = formatDisplayDate(firstDay) + ' - ' + formatDisplayDate(lastDay);
+        }
+
+        let html = '<div class="availability-calendar-grid">';
+        Recurrence.WEEKDAY_NAMES.forEach(function(name) {
+            html += '<div class="availability-weekday">' + name + '</div>';
+        });
+
+        for (let date = firstDay; date <= lastDay; date = Recurrence.addDays(date, 1)) {
+            const availability = getDayAvailability(date, trip);
+            const outsideMonth = calendarView === 'month' && date.slice(0, 7) !== calendarStart.slice(0, 7);
+            const bookable = availability.bookableMinutes > 0;
+
+            html += '<button type="button" class="availability-day availability-' + availability.level +
+                    (outsideMonth ? ' availability-outside' : '') + (date === selectedDate ? ' availability-selected' : '') +
+                    '" data-date="' + date + '"' + (bookable ? '' : ' disabled') + ' title="' + formatDisplayDate(date) + '">' +
+                    '<span class="availability-day-number">' + Number(date.slice(8)) + '</span>' +
+                    '<span class="availability-day-label">' + describeDayAvailability(availability) + '</span>' +
+                    '</button>';
+        }
+        html += '</div>';
+
+        $('#availability-calendar-title').text(title);
+        $('#availability-calendar-visual').html(html);
+    }
+
+    /**
+     * Move the calendar to the week or month containing a date
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     */
+    function showCalendarFor(dateStr) {
+        calendarStart = calendarView === 'month'
+            ? dateStr.slice(0, 8) + '01'
+            : Recurrence.addDays(dateStr, -Recurrence.getWeekday(dateStr));
+        renderAvailabilityCalendar();
+    }
+
+    /**
+     * Step the calendar a week or a month forward or back
+     * @param {number} direction - 1 for next, -1 for previous
+     */
+    function stepCalendar(direction) {
+        if (calendarView === 'month') {
+            const month = new Date(calendarStart + 'T00:00:00');
+            month.setMonth(month.getMonth() + direction);
+            calendarStart = Schedule.toDateKey(month);
+        } else {
+            calendarStart = Recurrence.addDays(calendarStart, 7 * direction);
+        }
+        renderAvailabilityCalendar();
+    }
+
     // =================================================================
     // VALIDATION
     // =================================================================
@@ -376,73 +568,230 @@
     }
 
     /**
-     * Validate flight number format
+     * Validate flight number format (airline code from the airline table, or any well-formed designator)
      * @param {string} flightNumber - Flight number
      * @returns {boolean}
      */
     function validateFlightNumber(flightNumber) {
-        const pattern = /^[a-zA-Z0-9]{2,3}[\s-]?\d{1,4}[a-zA-Z]?$/;
-        return pattern.test(flightNumber);
+        return Airlines.parseFlightNumber(flightNumber) !== null;
     }
 
     /**
-     * Synchronous validation using pre-loaded bookings
+     * Show which airline a flight number belongs to (under the flight number field)
+     * @param {jQuery} $input - Flight number input
+     * @param {object|null} parsed - Result of Airlines.parseFlightNumber()
+     */
+    function updateAirlineName($input, parsed) {
+        const $airline = $input.closest('.form-group').find('.flight-airline');
+        if (!parsed) {
+            $airline.text('').hide();
+        } else if (parsed.airline) {
+            $airline.removeClass('text-warning').text(parsed.airline.name).show();
+        } else {
+            $airline.addClass('text-warning').text('We don\'t recognize airline code ' + parsed.designator + '; please double-check it').show();
+        }
+    }
+
+    /**
+     * Validate date/time against bookings (async version for form submission)
      * @param {string} dateStr - Date in YYYY-MM-DD format
      * @param {string} timeStr - Time in HH:MM format
-     * @param {Array} bookings - Pre-loaded bookings for this date
-     * @returns {object} - {valid: boolean, error: string}
+     * @param {object} trip - Trip being booked {pickup, destination} (optional)
+     * @returns {Promise<object>} - {valid: boolean, error: string, suggestions} (suggestions: nearby open slots when the time is taken)
+     */
+    async function validateDateTime(dateStr, timeStr, trip) {
+        const allBookings = await fetchBookings();
+        const bookings = Availability.scheduleBookingsForDate(allBookings, dateStr);
+        return Availability.validateBookingTime(dateStr, timeStr, bookings, trip, allBookings);
+    }
+
+    /**
+     * Check the selected pickup and offer nearby open slots when it's taken
      */
-    function validateDateTimeSync(dateStr, timeStr, bookings) {
+    async function checkPickupSlot() {
+        const dateStr = $('#booking-date').val();
+        const timeStr = $('#booking-time').val();
+        const $suggestions = $('#pickup-slot-suggestions');
+
         if (!dateStr || !timeStr) {
-            return {
-                valid: false,
-                error: 'Please select both date and time'
-            };
+            $suggestions.html('').hide();
+            return;
         }
 
-        // Check if in the past
-        const selectedDateTime = new Date(dateStr + 'T' + timeStr);
-        const now = new Date();
+        const validation = await validateDateTime(dateStr, timeStr.slice(0, 5), getOutboundTrip());
+        if (validation.suggestions) {
+            $('#datetime-error').text(validation.error).show();
+            $suggestions.html(Availability.buildSlotChips(validation.suggestions, dateStr)).show();
+        } else {
+            $suggestions.html('').hide();
+        }
+    }
 
-        if (selectedDateTime < now) {
-            return {
-                valid: false,
-                error: 'Pickup time cannot be in the past'
-            };
+    /**
+     * Show or clear the out-of-area warning under an address field
+     * Out-of-area addresses are still accepted; the warning only asks the customer to call.
+     * @param {jQuery} $input - Address input
+     * @param {jQuery} $warning - Warning element below the input
+     */
+    function updateServiceAreaWarning($input, $warning) {
+        const address = $input.val().trim();
+
+        if (address && !ServiceAreas.checkAddress(address).inArea) {
+            $warning.text(ServiceAreas.OUT_OF_AREA_MESSAGE).show();
+        } else {
+            $warning.text('').hide();
         }
+    }
 
-        // Check minimum advance (3 hours)
-        const minDateTime = new Date(now.getTime() + (3 * 60 * 60 * 1000));
-        if (selectedDateTime < minDateTime) {
-            return {
-                valid: false,
-                error: 'Please book at least 3 hours in advance. For urgent bookings, call (980) 422-9125'
-            };
+    // =================================================================
+    // FLIGHT SCHEDULE LOOKUP
+    // =================================================================
+
+    /**
+     * Look up the return flight's scheduled arrival and compare it with the entered landing time
+     * An empty landing time is filled in with the schedule; a time the customer
+     * entered is never replaced, only flagged with a one-click fix.
+     *
+     * @param {function} setReturnLanding - (dateStr, timeStr) sets the return date/time picker
+     */
+    async function checkFlightSchedule(setReturnLanding) {
+        const $status = $('#flight-schedule-status');
+        const flightNumber = $('#booking-flight').val().trim();
+        const returnDate = $('#booking-return-date').val();
+        const returnTime = $('#booking-return-time').val();
+
+        if (!flightProvider || !flightNumber || !validateFlightNumber(flightNumber) || !returnDate) {
+            $status.html('').hide();
+            return;
         }
 
-        // Check booking conflicts
-        if (hasTimeConflict(dateStr, timeStr, bookings)) {
-            return {
-                valid: false,
-                error: 'This time slot is not available (conflicts with existing booking). Please choose a different time.'
-            };
+        let flight;
+        try {
+            flight = await flightProvider.lookupArrival(flightNumber, returnDate);
+        } catch (error) {
+            console.warn(error.message);
+            $status.html('').hide();
+            return;
         }
 
-        return {
-            valid: true,
-            error: ''
-        };
+        if (!flight) {
+            $status.removeClass('text-warning')
+                .text('We couldn\'t find a schedule for this flight, so we\'ll use the landing time you entered.').show();
+            return;
+        }
+
+        const [hours, minutes] = flight.scheduledArrival.split(':').map(Number);
+        const scheduledDisplay = formatTimeFromMinutes(hours * 60 + minutes);
+        const pickupNote = ' We\'ll meet you about ' + Availability.DEPLANING_MINUTES + ' minutes after landing.';
+        const flightKey = flight.flightNumber + '|' + returnDate;
+
+        if (prefilledFlightKey !== flightKey) {
+            prefilledFlightKey = flightKey;
+            if (!returnTime) {
+                setReturnLanding(returnDate, flight.scheduledArrival + ':00');
+                $status.removeClass('text-warning')
+                    .html('Landing time set to the scheduled arrival from ' + flight.origin + ': <strong>' + scheduledDisplay + '</strong>.' + pickupNote).show();
+                return;
+            }
+        }
+
+        if (returnTime && !FlightInfo.matchesSchedule(returnTime, flight.scheduledArrival)) {
+            const entered = Storage.parseBookingTime(returnTime);
+            $status.addClass('text-warning').html(
+                'Flight ' + flight.flightNumber + ' is scheduled to land at <strong>' + scheduledDisplay + '</strong>, not ' +
+                formatTimeFromMinutes(entered.hours * 60 + entered.minutes) + '. ' +
+                '<button type="button" class="btn btn-link btn-xs" id="use-scheduled-arrival">Use ' + scheduledDisplay + '</button>'
+            ).show();
+            $('#use-scheduled-arrival').on('click', function() {
+                setReturnLanding(returnDate, flight.scheduledArrival + ':00');
+                $status.removeClass('text-warning')
+                    .html('Landing time set to the scheduled arrival from ' + flight.origin + ': <strong>' + scheduledDisplay + '</strong>.' + pickupNote);
+            });
+        } else {
+            $status.removeClass('text-warning')
+                .html('On schedule: lands at <strong>' + scheduledDisplay + '</strong> from ' + flight.origin + '.' + pickupNote).show();
+        }
     }
 
+    // =================================================================
+    // DEPARTURE PICKUP SUGGESTION
+    // =================================================================
+
     /**
-     * Validate date/time against bookings (async version for form submission)
+     * Format a pickup for display, e.g. "Tue, Oct 20, 2026 at 5:35 AM"
      * @param {string} dateStr - Date in YYYY-MM-DD format
-     * @param {string} timeStr - Time in HH:MM format
-     * @returns {Promise<object>} - {valid: boolean, error: string}
+     * @param {string} timeStr - Time in HH:MM:SS format
+     * @returns {string}
      */
-    async function validateDateTime(dateStr, timeStr) {
-        const bookings = await getBookingsForDate(dateStr);
-        return validateDateTimeSync(dateStr, timeStr, bookings);
+    function formatPickupDisplay(dateStr, timeStr) {
+        const time = Storage.parseBookingTime(timeStr);
+        return formatDisplayDate(dateStr) + ' at ' + formatTimeFromMinutes(time.hours * 60 + time.minutes);
+    }
+
+    /**
+     * Suggest a pickup time for the departing flight and offer it as a one-click fill
+     * The suggestion is checked against existing bookings first. When it's taken, the nearest
+     * earlier open slot is offered instead (reaching the airport early is fine, late is not).
+     *
+     * @param {function} setPickup - (dateStr, timeStr) sets the pickup date/time picker
+     */
+    async function updatePickupSuggestion(setPickup) {
+        const $suggestion = $('#departure-pickup-suggestion');
+        const departureDate = $('#booking-departure-date').val();
+        const departureTime = $('#booking-departure-time').val();
+
+        if (!departureDate || !departureTime || $('input[name="airport-trip"]:checked').val() !== 'Yes') {
+            $suggestion.html('').hide();
+            return;
+        }
+
+        const trip = getOutboundTrip();
+        const suggested = Availability.getSuggestedPickup(departureDate, departureTime, trip, $('#booking-international').is(':checked'));
+        const departure = Storage.parseBookingTime(departureTime);
+        const basis = 'Be at the airport ' + (suggested.arrivalLeadMinutes / 60) + ' hours before your ' +
+                      formatTimeFromMinutes(departure.hours * 60 + departure.minutes) + ' departure, plus ' +
+                      (suggested.estimated ? 'about ' : '') + suggested.driveMinutes + ' minutes to drive there.';
+
+        // Use the suggestion when a vehicle is free, otherwise the nearest earlier open slot close enough to it
+        const validation = await validateDateTime(suggested.date, suggested.time.slice(0, 5), trip);
+        let pickup = null;
+        let error = '';
+        if (validation.valid) {
+            pickup = suggested;
+        } else if (validation.suggestions) {
+            const earlier = validation.suggestions.before[0];
+            const suggestedTime = Storage.parseBookingTime(suggested.time);
+            const earlierTime = earlier ? Storage.parseBookingTime(earlier.time) : null;
+            if (earlier && (suggestedTime.hours - earlierTime.hours) * 60 + suggestedTime.minutes - earlierTime.minutes <= SUGGESTION_SEARCH_MINUTES) {
+                pickup = { date: earlier.date, time: earlier.time + ':00' };
+            }
+        } else {
+            error = validation.error; // Too soon, in the past or outside operating hours; an earlier time won't help
+        }
+
+        const suggestedDisplay = formatPickupDisplay(suggested.date, suggested.time);
+
+        if (!pickup) {
+            $suggestion.addClass('text-warning').html(
+                'Suggested pickup: <strong>' + suggestedDisplay + '</strong>. ' + basis + ' ' +
+                (error ? error + '.' : 'We don\'t have a vehicle free around that time; please call us at (980) 422-9125.')
+            ).show();
+            return;
+        }
+
+        const pickupDisplay = formatPickupDisplay(pickup.date, pickup.time);
+        const takenNote = pickup.time !== suggested.time || pickup.date !== suggested.date
+            ? ' ' + suggestedDisplay + ' is booked, so this is the closest earlier time with a vehicle free.'
+            : '';
+
+        $suggestion.removeClass('text-warning').html(
+            'Suggested pickup: <strong>' + pickupDisplay + '</strong>. ' + basis + takenNote + ' ' +
+            '<button type="button" class="btn btn-link btn-xs" id="use-suggested-pickup">Use this time</button>'
+        ).show();
+        $('#use-suggested-pickup').on('click', function() {
+            setPickup(pickup.date, pickup.time);
+            $suggestion.html('Pickup set to <strong>' + pickupDisplay + '</strong>. ' + basis);
+        });
     }
 
     // =================================================================
@@ -457,15 +806,21 @@
         const airportTrip = $('input[name="airport-trip"]:checked').val();
         const roundTrip = $('#booking-round-trip').is(':checked');
 
-        // Show/hide checking bags and round trip sections
+        // Show/hide checking bags, departing flight and round trip sections
         if (airportTrip === 'Yes') {
             $('#checking-bags-section').slideDown();
+            $('#departure-flight-section').slideDown();
             $('#round-trip-section').slideDown();
         } else {
             $('#checking-bags-section').slideUp();
+            $('#departure-flight-section').slideUp();
             $('#round-trip-section').slideUp();
             $('#booking-checking-bags').prop('checked', false);
             $('#booking-round-trip').prop('checked', false);
+            $('#booking-departure-datetime, #booking-departure-date, #booking-departure-time, #booking-departure-flight').val('');
+            $('#booking-international').prop('checked', false);
+            $('#departure-pickup-suggestion').html('').hide();
+            $('#departure-flight-section .flight-airline').text('').hide();
         }
 
         // Show/hide return flight section and timeline
@@ -507,13 +862,14 @@
      * Calculate max passengers based on special requirements
      *
      * Rules:
+     * - Base capacity = seats in the largest fleet vehicle
      * - Wheelchair = 1 seat
      * - Car seat = 1 seat
      * - Wheelchair + car seat = 1 seat (they can share a space)
      * - Airport checked bags = 1 full seat
      */
     function calculatePassengerCapacity(requirements) {
-        let maxCapacity = 6; // Base capacity
+        let maxCapacity = Availability.getMaxVehicleCapacity(); // Base capacity
 
         // Check if we have both wheelchair and car seat (they share 1 seat)
         const hasMobilityAids = requirements.wheelchair || requirements.carseat;
@@ -581,13 +937,322 @@
         } else {
             $capacityMsg.css('color', '#666');
         }
+
+        // Riders joining at stops share the same vehicle
+        if (getStops().length > 0) {
+            const totalPassengers = getTotalPassengers();
+            $capacityMsg.text('Total riders including stops: ' + totalPassengers + ' of ' + maxCapacity + ' seats').show();
+            $capacityMsg.css('color', totalPassengers > maxCapacity ? '#d9534f' : '#666');
+        }
     }
 
+    // =================================================================
+    // RECURRING RIDES
+    // =================================================================
+
     /**
-     * Handle Dual Submission for Round-Trip Bookings
-     * Creates two separate Google Sheets entries for round-trip bookings
+     * Read the recurrence options from the form
+     * @returns {object|null} - Recurrence rule, or null when the ride doesn't repeat
      */
-    async function handleDualSubmission(bookingData) {
+    function getRecurrenceRule() {
+        if (!$('#booking-repeat').is(':checked')) {
+            return null;
+        }
+
+        const endType = $('input[name="recurrence-end"]:checked').val();
+        return {
+            frequency: $('#recurrence-frequency').val(),
+            weekdays: $('input[name="recurrence-weekday"]:checked').map(function() {
+                return Number(this.value);
+            }).get(),
+            intervalDays: parseInt($('#recurrence-interval').val(), 10) || 1,
+            untilDate: endType === 'until' ? $('#recurrence-until').val() : '',
+            count: endType === 'count' ? (parseInt($('#recurrence-count').val(), 10) || 0) : 0
+        };
+    }
+
+    /**
+     * Check a recurrence rule is complete
+     * @param {object} rule - Rule from getRecurrenceRule()
+     * @returns {string} - Error message, or '' when valid
+     */
+    function validateRecurrenceRule(rule) {
+        if (rule.frequency === 'weekly' && rule.weekdays.length === 0) {
+            return 'Please choose which days of the week the ride repeats';
+        }
+        if (!rule.untilDate && rule.count < 2) {
+            return 'Please enter how many rides to book (at least 2) or the date of the last ride';
+        }
+        return '';
+    }
+
+    /**
+     * Expand the booking into one booking per occurrence
+     * Each occurrence gets its own confirmation code; a round trip's return (and a
+     * departing flight) keeps the same number of days after its outbound ride.
+     *
+     * @param {object} bookingData - Collected form data (first ride)
+     * @param {object} rule - Recurrence rule
+     * @returns {object} - {bookings: Array, truncated: boolean}
+     */
+    function expandRecurringBooking(bookingData, rule) {
+        const series = Recurrence.expandOccurrences(bookingData.pickupDate, rule, DateTime.getTodayKey());
+        const returnOffset = bookingData.roundTrip === 'Yes'
+            ? Recurrence.daysBetween(bookingData.pickupDate, bookingData.returnDate)
+            : 0;
+        const departureOffset = bookingData.departureDate
+            ? Recurrence.daysBetween(bookingData.pickupDate, bookingData.departureDate)
+            : 0;
+        const description = Recurrence.describeRule(rule);
+
+        const bookings = series.dates.map(function(date, index) {
+            return Object.assign({}, bookingData, {
+                pickupDate: date,
+                returnDate: bookingData.roundTrip === 'Yes' ? Recurrence.addDays(date, returnOffset) : bookingData.returnDate,
+                departureDate: bookingData.departureDate ? Recurrence.addDays(date, departureOffset) : '',
+                confirmationCode: date === bookingData.pickupDate ? bookingData.confirmationCode : generateConfirmationCode(),
+                recurrence: description + ' (ride ' + (index + 1) + ' of ' + series.dates.length + ')'
+            });
+        });
+
+        return {
+            bookings: bookings,
+            truncated: series.truncated
+        };
+    }
+
+    /**
+     * List every leg of a series that can't be booked
+     * Each leg goes through the same checks as a single booking (notice,
+     * operating hours, holidays and vacations, vehicle conflicts). Each leg that
+     * fits is added to the schedule before the next is checked, so rides of the
+     * same series can't share the last free vehicle.
+     *
+     * @param {Array} occurrences - Bookings from expandRecurringBooking()
+     * @returns {Promise<Array>} - Descriptions of the rides that can't be booked, with the reason
+     */
+    async function findRecurringConflicts(occurrences) {
+        const workingBookings = (await fetchBookings()).slice();
+        const conflicts = [];
+
+        occurrences.forEach(function(occurrence) {
+            buildSubmissions(occurrence).forEach(function(leg) {
+                const bookings = Availability.scheduleBookingsForDate(workingBookings, leg.pickupDate);
+                const trip = {
+                    pickup: leg.pickupAddress,
+                    destination: leg.destinationAddress,
+                    stops: (leg.stops || []).map(stop => stop.address)
+                };
+                const validation = Availability.validateBookingTime(leg.pickupDate, leg.pickupTime.slice(0, 5), bookings, trip);
+                if (!validation.valid) {
+                    // First sentence of the reason, e.g. "We are closed for Christmas Day"
+                    conflicts.push((leg.isReturnFlight === 'Yes' ? 'Return on ' : '') + formatDisplayDate(leg.pickupDate) + ' at ' + leg.pickupTime +
+                                   ' (' + validation.error.split('. ')[0].replace(/\.$/, '') + ')');
+                    return;
+                }
+
+                workingBookings.push({
+                    date: leg.pickupDate,
+                    time: leg.pickupTime,
+                    pickupAddress: leg.pickupAddress,
+                    destinationAddress: leg.destinationAddress,
+                    stops: leg.stops
+                });
+            });
+        });
+
+        return conflicts;
+    }
+
+    /**
+     * Show which dates the current recurrence options produce
+     */
+    function updateRecurrencePreview() {
+        const $preview = $('#recurrence-preview');
+        const rule = getRecurrenceRule();
+        const pickupDate = $('#booking-date').val();
+
+        if (!rule || !pickupDate || validateRecurrenceRule(rule)) {
+            $preview.text('');
+            return;
+        }
+
+        const series = Recurrence.expandOccurrences(pickupDate, rule, DateTime.getTodayKey());
+        let text = Recurrence.describeRule(rule) + ': ' + series.dates.length + ' ride' + (series.dates.length === 1 ? '' : 's');
+        if (series.dates.length > 0) {
+            text += ', ' + formatDisplayDate(series.dates[0]) + ' to ' + formatDisplayDate(series.dates[series.dates.length - 1]);
+        }
+        if (series.truncated) {
+            text += ' (limited to ' + Recurrence.RECURRENCE_LIMITS.maxOccurrences + ' rides and ' +
+                    Recurrence.RECURRENCE_LIMITS.bookingWindowDays + ' days ahead; call us for longer schedules)';
+        }
+        $preview.text(text);
+    }
+
+    /**
+     * Build the result message for a recurring series
+     * @param {object} formData - Collected form data
+     * @param {object} rule - Recurrence rule
+     * @param {Array} occurrences - Bookings that were submitted
+     * @param {Array} results - submitSeries() result for each occurrence
+     * @returns {string} - HTML
+     */
+    function buildSeriesResultHtml(formData, rule, occurrences, results) {
+        const allConfirmed = results.every(result => result.confirmed);
+        const failedCount = results.filter(result => result.failed).length;
+
+        let html =
+            '<div class="alert ' + (allConfirmed ? 'alert-success' : 'alert-warning') + '">' +
+            '<h4><i class="fa ' + (allConfirmed ? 'fa-check-circle' : 'fa-exclamation-triangle') + '"></i> ' +
+            (failedCount > 0
+                ? (occurrences.length - failedCount) + ' of ' + occurrences.length + ' Recurring Booking Requests Sent'
+                : occurrences.length + ' Recurring Booking Requests ' + (allConfirmed ? 'Received!' : 'Sent')) + '</h4>' +
+            '<p>Thank you, <strong>' + formData.name + '</strong>! ' + Recurrence.describeRule(rule) + ':</p>' +
+            '<ul style="text-align: left; display: inline-block;">';
+
+        occurrences.forEach(function(occurrence, index) {
+            const result = results[index];
+            let status = 'received';
+            if (result.failed) {
+                status = 'not sent, please call';
+            } else if (result.queued) {
+                status = 'pending, will send when online';
+            } else if (!result.confirmed) {
+                status = 'not confirmed, please call';
+            }
+
+            const returnLeg = result.submissions.find(leg => leg.isReturnFlight === 'Yes');
+            html += '<li>' + formatDisplayDate(occurrence.pickupDate) + ' at ' + occurrence.pickupTime +
+                    (returnLeg ? ' (return pickup ' + formatDisplayDate(returnLeg.pickupDate) + ' at ' + returnLeg.pickupTime + ')' : '') +
+                    ' &mdash; Confirmation #: <strong>' + result.confirmationCode + '</strong> (' + status + ')</li>';
+        });
+
+        html +=
+            '</ul>' +
+            '<p>We will call you at <strong>' + formData.phone + '</strong> to confirm your rides.' +
+            (failedCount > 0 ? ' Rides marked "not sent" didn\'t reach us; please call (980) 422-9125 to book them.' : '') + '</p>' +
+            '<hr>' +
+            '<p><strong>Important:</strong> Each ride has its own confirmation number for Manage My Booking. Rides are not confirmed until you receive a call from us. ' +
+            'If you don\'t hear from us within 2 hours, please call (980) 422-9125.</p>' +
+            '</div>';
+
+        return html;
+    }
+
+    /**
+     * Build add-to-calendar links for each leg of a booking
+     * @param {Array} submissions - Legs from buildSubmissions()
+     * @returns {string} - HTML
+     */
+    function buildCalendarLinksHtml(submissions) {
+        let html = '<div class="booking-calendar-links">';
+
+        submissions.forEach(function(leg) {
+            const links = CalendarLinks.getCalendarLinks(leg);
+            const label = submissions.length > 1
+                ? (leg.isReturnFlight === 'Yes' ? 'Return' : 'Outbound') + ' (' + formatDisplayDate(leg.pickupDate) + ')'
+                : 'Add your ride to your calendar';
+
+            html +=
+                '<p><span class="booking-calendar-label">' + label + ':</span> ' +
+                '<a class="btn btn-default btn-sm" href="' + links.google.replace(/&/g, '&amp;') + '" target="_blank" rel="noopener"><i class="fa fa-google"></i> Google Calendar</a> ' +
+                '<a class="btn btn-default btn-sm" href="' + links.outlook.replace(/&/g, '&amp;') + '" target="_blank" rel="noopener"><i class="fa fa-windows"></i> Outlook</a> ' +
+                '<a class="btn btn-default btn-sm" href="' + links.ics + '" download="' + links.filename + '"><i class="fa fa-calendar"></i> .ics file</a>' +
+                '</p>';
+        });
+
+        return html + '</div>';
+    }
+
+    // =================================================================
+    // QUOTE DISPLAY
+    // =================================================================
+
+    /**
+     * Build line-item breakdown HTML for a quote
+     * @param {object} quote - Result of Quote.calculateQuote()
+     * @returns {string} - HTML for #quote-details
+     */
+    function buildQuoteHtml(quote) {
+        let html = '<table class="quote-line-items">';
+
+        quote.lineItems.forEach(function(item) {
+            html += '<tr>';
+            html += '<td>' + item.label + '</td>';
+            html += '<td class="quote-amount">' + (item.amount > 0 ? Quote.formatCurrency(item.amount) : 'Included') + '</td>';
+            html += '</tr>';
+        });
+
+        html += '<tr class="quote-total">';
+        html += '<td>Estimated Total</td>';
+        html += '<td class="quote-amount">' + Quote.formatCurrency(quote.total) + '</td>';
+        html += '</tr>';
+        html += '</table>';
+
+        return html;
+    }
+
+    /**
+     * Recalculate the quote from the current form state and render it
+     */
+    function updateQuote() {
+        const quote = Quote.calculateQuote({
+            pickup: $('#booking-pickup').val(),
+            destination: $('#booking-destination').val(),
+            airportTrip: $('input[name="airport-trip"]:checked').val(),
+            passengers: getTotalPassengers(),
+            checkedBags: $('#booking-checking-bags').is(':checked'),
+            roundTrip: $('#booking-round-trip').is(':checked')
+        });
+
+        if (quote.available) {
+            $('#quote-details').html(buildQuoteHtml(quote));
+            $('#booking-quote').slideDown();
+        } else if (quote.reason) {
+            $('#quote-details').html('<p class="quote-unavailable">' + quote.reason + '</p>');
+            $('#booking-quote').slideDown();
+        } else {
+            $('#quote-details').html('');
+            $('#booking-quote').slideUp();
+        }
+    }
+
+    /**
+     * Generate a confirmation code shared by every leg of a booking
+     * Avoids look-alike characters (0/O, 1/I) so it can be read over the phone.
+     * @returns {string} - e.g. "ME-7K3P9Q"
+     */
+    function generateConfirmationCode() {
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        const values = new Uint32Array(6);
+        window.crypto.getRandomValues(values);
+
+        let code = 'ME-';
+        values.forEach(function(value) {
+            code += alphabet[value % alphabet.length];
+        });
+        return code;
+    }
+
+    /**
+     * Seats a booking needs: the pickup party plus everyone joining at a stop
+     * @param {object} bookingData - Collected form data
+     * @returns {number}
+     */
+    function countRiders(bookingData) {
+        return (bookingData.stops || []).reduce(function(total, stop) {
+            return total + stop.passengers;
+        }, parseInt(bookingData.passengers, 10) || 1);
+    }
+
+    /**
+     * Build the legs sent for a booking
+     * Round trips become two separate bookings (outbound and return).
+     *
+     * @param {object} bookingData - Collected form data
+     * @returns {Array} - Outbound submission, followed by the return submission for round trips
+     */
+    function buildSubmissions(bookingData) {
         const submissions = [];
 
         // Create outbound submission (Is Return Flight = "No")
@@ -597,241 +1262,513 @@
             email: bookingData.email,
             pickupDate: bookingData.pickupDate,
             pickupTime: bookingData.pickupTime,
+            pickupAt: DateTime.toISOWithOffset(bookingData.pickupDate, bookingData.pickupTime), // e.g. "2026-11-02T05:30:00-05:00"
             pickupAddress: bookingData.pickupAddress,
             destinationAddress: bookingData.destinationAddress,
-            passengers: bookingData.passengers,
+            stops: bookingData.stops || [],
+            passengers: countRiders(bookingData),
             specialNotes: bookingData.specialNotes,
             airportTrip: bookingData.airportTrip,
-            flightNumber: '', // No flight number for outbound (dropping off at airport)
+            flightNumber: bookingData.departureFlightNumber || '', // Departing flight when dropping off at the airport (optional)
+            flightId: bookingData.departureFlightId || '',
+            departureDate: bookingData.departureDate || '',
+            departureTime: bookingData.departureTime || '',
+            internationalFlight: bookingData.internationalFlight || 'No',
             checkingBags: bookingData.checkingBags,
             roundTrip: bookingData.roundTrip,
             returnDate: bookingData.returnDate,
             returnTime: bookingData.returnTime,
             specialRequirements: bookingData.specialRequirements,
             otherRequirementText: bookingData.otherRequirementText,
+            serviceArea: bookingData.serviceArea,
+            confirmationCode: bookingData.confirmationCode,
+            recurrence: bookingData.recurrence || '',
             isReturnFlight: 'No'
         };
         submissions.push(outboundSubmission);
 
         // Create return submission if round trip (Is Return Flight = "Yes")
         if (bookingData.roundTrip === 'Yes') {
+            // Return date/time on the form is when the flight lands; pickup allows time to deplane
+            const returnPickup = Availability.getReturnPickup(bookingData.returnDate, bookingData.returnTime);
             const returnSubmission = {
                 name: bookingData.name,
                 phone: bookingData.phone,
                 email: bookingData.email,
-                pickupDate: bookingData.returnDate,
-                pickupTime: bookingData.returnTime,
+                pickupDate: returnPickup.date,
+                pickupTime: returnPickup.time,
+                pickupAt: DateTime.toISOWithOffset(returnPickup.date, returnPickup.time),
+                flightLandingDate: bookingData.returnDate,
+                flightLandingTime: bookingData.returnTime,
                 pickupAddress: bookingData.destinationAddress, // Swapped
                 destinationAddress: bookingData.pickupAddress, // Swapped
-                passengers: bookingData.passengers,
+                stops: (bookingData.stops || []).slice().reverse(), // Drop off in reverse order
+                passengers: countRiders(bookingData),
                 specialNotes: bookingData.specialNotes,
                 airportTrip: 'Yes', // Always "Yes" for return trips
                 flightNumber: bookingData.flightNumber, // Use original flight number as return flight number
+                flightId: bookingData.flightId, // Normalized, e.g. "B6123"
                 checkingBags: bookingData.checkingBags, // Copy requirements
                 roundTrip: bookingData.roundTrip,
                 returnDate: '',
                 returnTime: '',
                 specialRequirements: bookingData.specialRequirements, // Copy all requirements
                 otherRequirementText: bookingData.otherRequirementText,
+                serviceArea: bookingData.serviceArea,
+                confirmationCode: bookingData.confirmationCode, // Both legs share one confirmation code
+                recurrence: bookingData.recurrence || '',
                 isReturnFlight: 'Yes'
             };
             submissions.push(returnSubmission);
         }
 
-        // Submit to Google Sheets
-        const submissionPromises = submissions.map(submission => submitToGoogleSheets(submission));
+        return submissions;
+    }
+
+    /**
+     * Handle Dual Submission for Round-Trip Bookings
+     * Sends every leg from buildSubmissions(), then waits until storage
+     * confirms each one was received.
+     *
+     * @param {object} bookingData - Collected form data
+     * @returns {Promise<object>} - {submissions, confirmed, confirmationCode}
+     */
+    async function handleDualSubmission(bookingData) {
+        const submissions = buildSubmissions(bookingData);
+
+        // Submit through the active storage adapter
+        const submissionPromises = submissions.map(submission => bookingStore.createBooking(submission));
         const results = await Promise.allSettled(submissionPromises);
 
         // Check if all submissions succeeded
         const failures = results.filter(result => result.status === 'rejected');
         if (failures.length > 0) {
             console.error('Some submissions failed:', failures);
+
+            // Couldn't reach the booking service: keep the legs together and send them later
+            if (failures.every(failure => failure.reason && failure.reason.retryable)) {
+                SubmissionQueue.enqueue(bookingData.confirmationCode, submissions, results.map(result => result.status === 'fulfilled'));
+                return {
+                    submissions: submissions,
+                    queued: true,
+                    confirmed: false,
+                    confirmationCode: bookingData.confirmationCode
+                };
+            }
+
             throw new Error('One or more submissions failed');
         }
 
-        return submissions;
+        // Verify every leg actually landed in storage
+        const verifications = await Promise.all(submissions.map(function(submission, index) {
+            return bookingStore.verifyBooking(submission, results[index].value);
+        }));
+
+        // New rows should show up on the timeline right away
+        lastFetchTime = null;
+
+        return {
+            submissions: submissions,
+            confirmed: verifications.every(verification => verification.confirmed),
+            confirmationCode: verifications[0].confirmationCode
+        };
+    }
+
+    /**
+     * Send every ride of a recurring series, a few at a time
+     * A ride that fails doesn't stop the others; its result is marked failed.
+     *
+     * @param {Array} occurrences - Bookings from expandRecurringBooking()
+     * @returns {Promise<Array>} - handleDualSubmission() result for each occurrence, or
+     *                             {submissions, failed: true, confirmed: false, confirmationCode}
+     */
+    async function submitSeries(occurrences) {
+        const results = new Array(occurrences.length);
+        let nextIndex = 0;
+
+        async function submitNext() {
+            while (nextIndex < occurrences.length) {
+                const index = nextIndex++;
+                try {
+                    results[index] = await handleDualSubmission(occurrences[index]);
+                } catch (error) {
+                    console.error('Recurring ride ' + (index + 1) + ' failed:', error);
+                    results[index] = {
+                        submissions: buildSubmissions(occurrences[index]),
+                        failed: true,
+                        confirmed: false,
+                        confirmationCode: occurrences[index].confirmationCode
+                    };
+                }
+            }
+        }
+
+        const workers = [];
+        for (let i = 0; i < Math.min(SERIES_SUBMIT_CONCURRENCY, occurrences.length); i++) {
+            workers.push(submitNext());
+        }
+        await Promise.all(workers);
+
+        return results;
+    }
+
+    /**
+     * Ask before sending a ride that was already requested
+     * @param {object} duplicate - Match from DuplicateGuard.findDuplicate()
+     * @param {function} onSubmitAnyway - Called when the customer wants a second booking
+     */
+    function showDuplicatePrompt(duplicate, onSubmitAnyway) {
+        const ride = duplicate.submission;
+        const where = duplicate.source === 'recent'
+            ? 'was already sent from this device' + (duplicate.confirmationCode ? ' (ref <strong>' + duplicate.confirmationCode + '</strong>)' : '')
+            : 'is already on our schedule';
+
+        const promptHtml =
+            '<div class="alert alert-warning">' +
+            '<h4><i class="fa fa-exclamation-triangle"></i> You Already Requested This Ride</h4>' +
+            '<p>A booking request for <strong>' + formatDisplayDate(ride.pickupDate) + '</strong> at <strong>' + ride.pickupTime + '</strong> ' +
+            'from ' + escapeHtml(ride.pickupAddress) + ' to ' + escapeHtml(ride.destinationAddress) + ' ' + where + '.</p>' +
+            '<p>If you need a second vehicle or want to change the ride, call us at (980) 422-9125.</p>' +
+            '<p>' +
+            '<button type="button" id="duplicate-keep-btn" class="btn btn-default">Keep My Original Request</button> ' +
+            '<button type="button" id="duplicate-submit-btn" class="btn btn-warning">Submit Again Anyway</button>' +
+            '</p>' +
+            '</div>';
+
+        $('#booking-success').html(promptHtml).show();
+        $('#duplicate-keep-btn').on('click', function() {
+            $('#booking-success').html('').hide();
+        });
+        $('#duplicate-submit-btn').on('click', onSubmitAnyway);
+
+        $('html, body').animate({
+            scrollTop: $('#booking-success').offset().top - 100
+        }, 500);
+    }
+
+    // =================================================================
+    // BOOKING DRAFTS
+    // =================================================================
+
+    /**
+     * Read the form into a draft
+     * @returns {object} - {values, checked, recurrenceEnd, recurrenceWeekdays, stops, pickup, departure, returnLanding}
+     */
+    function collectDraftFields() {
+        const values = {};
+        DRAFT_VALUE_FIELDS.forEach(function(id) {
+            values[id] = $('#' + id).val();
+        });
+
+        const checked = {};
+        DRAFT_CHECKBOXES.forEach(function(id) {
+            checked[id] = $('#' + id).is(':checked');
+        });
+
+        return {
+            values: values,
+            checked: checked,
+            recurrenceEnd: $('input[name="recurrence-end"]:checked').val(),
+            recurrenceWeekdays: $('input[name="recurrence-weekday"]:checked').map(function() {
+                return $(this).val();
+            }).get(),
+            stops: getStops(),
+            // Hidden fields behind the Flatpickr pickers (New York date and time)
+            pickup: { date: $('#booking-date').val(), time: $('#booking-time').val() },
+            departure: { date: $('#booking-departure-date').val(), time: $('#booking-departure-time').val() },
+            returnLanding: { date: $('#booking-return-date').val(), time: $('#booking-return-time').val() }
+        };
+    }
+
+    /**
+     * Whether a draft has anything worth offering back
+     * @param {object} fields - Draft from collectDraftFields()
+     * @returns {boolean}
+     */
+    function hasDraftContent(fields) {
+        return ['booking-name', 'booking-phone', 'booking-email', 'booking-pickup', 'booking-destination'].some(function(id) {
+            return String(fields.values[id] || '').trim() !== '';
+        });
+    }
+
+    /**
+     * Save the form as a draft now (or drop the draft when the form is empty)
+     */
+    function saveDraftNow() {
+        clearTimeout(draftSaveTimer);
+        draftSaveTimer = null;
+        if (!draftStarted || draftOfferOpen) {
+            return;
+        }
+
+        const fields = collectDraftFields();
+        if (hasDraftContent(fields)) {
+            BookingDraft.saveDraft(fields);
+        } else {
+            BookingDraft.clearDraft();
+        }
+    }
+
+    /**
+     * Save the form as a draft once the customer pauses
+     */
+    function saveDraftSoon() {
+        draftStarted = true;
+        clearTimeout(draftSaveTimer);
+        draftSaveTimer = setTimeout(saveDraftNow, DRAFT_SAVE_DELAY_MS);
+    }
+
+    /**
+     * Forget the draft once the booking has been sent (or queued)
+     */
+    function discardDraft() {
+        clearTimeout(draftSaveTimer);
+        draftSaveTimer = null;
+        draftStarted = false;
+        BookingDraft.clearDraft();
+    }
+
+    /**
+     * Offer to resume a saved draft above the form
+     * @param {object} draft - {savedAt, fields} from BookingDraft.loadDraft()
+     * @param {Function} onResume - Restores the draft's fields
+     */
+    function showDraftPrompt(draft, onResume) {
+        const fields = draft.fields;
+        const route = [fields.values['booking-pickup'], fields.values['booking-destination']].filter(Boolean).join(' to ');
+        let summary = route ? route : 'Your booking';
+        if (fields.pickup.date) {
+            const time = Storage.parseBookingTime(fields.pickup.time);
+            summary += ', ' + formatDisplayDate(fields.pickup.date) + ' at ' + formatTimeFromMinutes(time.hours * 60 + time.minutes);
+        }
+        const savedAt = new Date(draft.savedAt).toLocaleString('en-US', {
+            timeZone: DateTime.TIME_ZONE, weekday: 'short', hour: 'numeric', minute: '2-digit'
+        });
+
+        const $prompt = $('#booking-draft-prompt').html(
+            '<div class="alert alert-info">' +
+            '<h4><i class="fa fa-pencil"></i> Resume Your Booking?</h4>' +
+            '<p>You started a booking on this device (' + savedAt + '): <strong class="booking-draft-summary"></strong></p>' +
+            '<p>' +
+            '<button type="button" id="draft-resume-btn" class="btn btn-primary">Resume</button> ' +
+            '<button type="button" id="draft-discard-btn" class="btn btn-default">Start Over</button>' +
+            '</p>' +
+            '</div>'
+        ).show();
+        $prompt.find('.booking-draft-summary').text(summary);
+        draftOfferOpen = true;
+
+        $('#draft-resume-btn').on('click', function() {
+            draftOfferOpen = false;
+            $prompt.html('').hide();
+            onResume(fields);
+        });
+        $('#draft-discard-btn').on('click', function() {
+            draftOfferOpen = false;
+            $prompt.html('').hide();
+            BookingDraft.clearDraft();
+            saveDraftNow(); // Keep anything typed while the offer was open
+        });
     }
 
+    // =================================================================
+    // CUSTOMER PROFILE
+    // =================================================================
+
     /**
-     * Submit booking data to Google Sheets
-     * @param {Object} submissionData - Booking data to submit
-     * @returns {Promise} - Submission promise
-     */
-    function submitToGoogleSheets(submissionData) {
-        return new Promise(function(resolve, reject) {
-            var googleFormData = new FormData();
-            googleFormData.append('entry.131833412', submissionData.name);
-            googleFormData.append('entry.776900145', submissionData.phone);
-            googleFormData.append('entry.121804187', submissionData.email);
-            googleFormData.append('entry.1592582104', submissionData.pickupDate + ' ' + submissionData.pickupTime); // Combined Pickup Date/Time
-            googleFormData.append('entry.1137073125', submissionData.pickupAddress);
-            googleFormData.append('entry.1747359283', submissionData.destinationAddress);
-            googleFormData.append('entry.240227114', submissionData.passengers);
-            googleFormData.append('entry.1761921696', submissionData.specialNotes); // Notes
-            googleFormData.append('entry.1268043435', submissionData.airportTrip);
-            googleFormData.append('entry.936388405', submissionData.pickupTime); // Pickup Time (separate)
-            googleFormData.append('entry.1953484756', submissionData.checkingBags); // Checking Bags
-            googleFormData.append('entry.2847103921', submissionData.roundTrip); // Round Trip Pickup
-            googleFormData.append('entry.4859203847', submissionData.returnDate + ' ' + submissionData.returnTime); // Return Flight Landing Time
-            googleFormData.append('entry.3948571029', submissionData.flightNumber || ''); // Return Flight Number (use original flight number for return trips)
-            googleFormData.append('entry.5738291048', ''); // Return Flight Date/Landing Time (combined field)
-            googleFormData.append('entry.6829374816', submissionData.isReturnFlight); // Is Return Flight
-
-            // Special requirements checkboxes
-            if (submissionData.specialRequirements && submissionData.specialRequirements.length > 0) {
-                submissionData.specialRequirements.forEach(function(req) {
-                    googleFormData.append('entry.1055055925', req);
-                });
-            }
+     * Fill the "Save as" selects with the address labels
+     */
+    function renderAddressLabelOptions() {
+        const options = '<option value="">Don\'t save</option>' +
+            CustomerProfile.PROFILE_CONFIG.addressLabels.map(function(label) {
+                return '<option value="' + label + '">' + label + '</option>';
+            }).join('');
+        $('#booking-pickup-label, #booking-destination-label').html(options);
+    }
 
-            // Other requirement text (if "Other" was checked)
-            if (submissionData.otherRequirementText) {
-                googleFormData.append('entry.1055055925.other_option_response', submissionData.otherRequirementText);
-            }
+    /**
+     * Offer the profile's saved addresses above the pickup and destination fields
+     * @param {object|null} profile - Saved profile
+     */
+    function renderSavedAddresses(profile) {
+        const addresses = profile ? profile.addresses : [];
 
-            // Submit to Google Forms
-            $.ajax({
-                url: GOOGLE_FORM_URL,
-                type: 'POST',
-                data: googleFormData,
-                processData: false,
-                contentType: false,
-                cache: false,
-                complete: function() {
-                    // Google Forms always returns an error due to CORS, but the submission actually works
-                    resolve();
-                },
-                error: function(xhr, status, error) {
-                    // This is expected due to CORS, but we still consider it a success
-                    resolve();
-                }
+        $('.saved-address-select').each(function() {
+            const $select = $(this).empty().append($('<option>').val('').text('Saved addresses...'));
+            addresses.forEach(function(entry, index) {
+                $select.append($('<option>').val(index).text(entry.label + ': ' + entry.address));
             });
+            $select.toggle(addresses.length > 0);
         });
     }
 
     /**
-     * Find the first available booking time slot
-     * @param {Date} currentTime - Current time
-     * @returns {Date} - First available booking time
+     * Show the "Save as" selects while "Remember me" is ticked, and "Forget me" while a profile is saved
+     */
+    function updateProfileControls() {
+        $('.address-save-label').toggle($('#booking-remember').is(':checked'));
+        $('#booking-forget-me').toggle(CustomerProfile.loadProfile() !== null);
+    }
+
+    /**
+     * Fill empty contact fields from the saved profile and offer its addresses
      */
-    async function findFirstAvailableTime(currentTime) {
-        const today = new Date(currentTime);
-        today.setHours(0, 0, 0, 0);
+    function applyProfile() {
+        const profile = CustomerProfile.loadProfile();
+        if (profile) {
+            [['#booking-name', profile.name], ['#booking-phone', profile.phone], ['#booking-email', profile.email]].forEach(function(field) {
+                if (!$(field[0]).val()) {
+                    $(field[0]).val(field[1]);
+                }
+            });
+            $('#booking-remember').prop('checked', true);
+        }
 
-        // Check if we need to look at tomorrow (past 8 PM or after 6 PM for bookings)
-        const currentHour = currentTime.getHours();
-        let searchDate = today;
+        renderSavedAddresses(profile);
+        updateProfileControls();
+    }
 
-        // If it's past 8 PM, start looking at tomorrow
-        if (currentHour >= 20) {
-            searchDate = new Date(today);
-            searchDate.setDate(searchDate.getDate() + 1);
+    /**
+     * Save the customer's details and labeled addresses, if they asked to be remembered
+     * @param {object} formData - Collected form data
+     */
+    function rememberCustomer(formData) {
+        if (!$('#booking-remember').is(':checked')) {
+            return;
         }
 
-        // Get bookings for the search date
-        const bookings = await getBookingsForDate(searchDate.toISOString().split('T')[0]);
+        const profile = CustomerProfile.rememberDetails({
+            name: formData.name,
+            phone: formData.phone,
+            email: formData.email
+        }, [
+            { label: $('#booking-pickup-label').val(), address: formData.pickupAddress },
+            { label: $('#booking-destination-label').val(), address: formData.destinationAddress }
+        ]);
+        renderSavedAddresses(profile);
+        updateProfileControls();
+    }
+
+    /**
+     * Remove the profile (and any draft, which holds the same details) from this device
+     */
+    function forgetCustomer() {
+        const profile = CustomerProfile.loadProfile();
+        if (profile) {
+            // Clear contact fields still showing the remembered details
+            [['#booking-name', profile.name], ['#booking-phone', profile.phone], ['#booking-email', profile.email]].forEach(function(field) {
+                if ($(field[0]).val() === field[1]) {
+                    $(field[0]).val('');
+                }
+            });
+        }
 
-        // Find the first available time slot
-        let searchTime = new Date(searchDate);
+        CustomerProfile.forgetProfile();
+        discardDraft();
+        $('#booking-remember').prop('checked', false);
+        $('#booking-pickup-label, #booking-destination-label').val('');
+        renderSavedAddresses(null);
+        updateProfileControls();
+    }
 
-        // Start at 8 AM (8:00 AM) for current day, or 8 AM for future days
-        if (searchDate.toDateString() === today.toDateString()) {
-            // If it's current day, start from current time + buffer
-            searchTime = new Date(currentTime.getTime() + (3 * 60 * 60 * 1000)); // 3 hour buffer
+    // =================================================================
+    // OFFLINE QUEUE STATUS
+    // =================================================================
 
-            // Round up to next 5-minute interval
-            const minutes = searchTime.getMinutes();
-            const roundedMinutes = Math.ceil(minutes / 5) * 5;
-            searchTime.setMinutes(roundedMinutes);
-            searchTime.setSeconds(0);
+    /**
+     * Describe a queued booking, e.g. "10/20/2026 at 05:30 (return 10/24/2026 at 18:00)"
+     * @param {object} entry - Submission queue entry
+     * @returns {string}
+     */
+    function describeQueuedBooking(entry) {
+        const outbound = entry.submissions[0];
+        let description = formatDisplayDate(outbound.pickupDate) + ' at ' + outbound.pickupTime;
 
-            // If the calculated time is past 8 PM, move to tomorrow
-            if (searchTime.getHours() >= 20) {
-                searchTime = new Date(searchDate);
-                searchTime.setDate(searchTime.getDate() + 1);
-                searchTime.setHours(8, 0, 0, 0);
-            }
-        } else {
-            // For future days, start at 8 AM
-            searchTime.setHours(8, 0, 0, 0);
-        }
-
-        // Check if the calculated time is too soon (less than 3 hours from now)
-        const minAllowedTime = new Date(currentTime.getTime() + (3 * 60 * 60 * 1000));
-        if (searchTime < minAllowedTime && searchDate.toDateString() === today.toDateString()) {
-            // Time is too soon, show call message and set to next available slot
-            showCallForBookingMessage();
-
-            // Find the next available slot (at least 3 hours from now)
-            searchTime = new Date(minAllowedTime);
-            const minutes = searchTime.getMinutes();
-            const roundedMinutes = Math.ceil(minutes / 5) * 5;
-            searchTime.setMinutes(roundedMinutes);
-            searchTime.setSeconds(0);
-
-            // If this goes past 8 PM, move to tomorrow 8 AM
-            if (searchTime.getHours() >= 20) {
-                searchTime = new Date(today);
-                searchTime.setDate(searchTime.getDate() + 1);
-                searchTime.setHours(8, 0, 0, 0);
-            }
+        if (entry.submissions.length > 1) {
+            const returnLeg = entry.submissions[1];
+            description += ' (return ' + formatDisplayDate(returnLeg.pickupDate) + ' at ' + returnLeg.pickupTime + ')';
         }
-
-        return searchTime;
+        return description;
     }
 
-    
     /**
-     * Calculate simple default booking time (synchronous version)
-     * @param {Date} currentTime - Current time
-     * @returns {Date} - Default booking time
+     * Show queued bookings in the booking panel
+     * @param {string} noticeHtml - Message about the last queue update (optional)
      */
-    function calculateSimpleDefaultTime(currentTime) {
-        const today = new Date(currentTime);
-        const currentHour = currentTime.getHours();
+    function renderQueueStatus(noticeHtml) {
+        const $status = $('#booking-queue-status');
+        const pending = SubmissionQueue.getPending();
+        let html = noticeHtml || '';
+
+        if (pending.length > 0) {
+            html +=
+                '<div class="alert alert-info">' +
+                '<p><i class="fa fa-clock-o"></i> <strong>Pending, will send when online</strong></p>' +
+                '<ul>' +
+                pending.map(function(entry) {
+                    return '<li>' + describeQueuedBooking(entry) + ' &mdash; ref <strong>' + entry.id + '</strong></li>';
+                }).join('') +
+                '</ul>' +
+                '<p>Keep this page handy; we\'ll keep retrying while you\'re here and the next time you visit.</p>' +
+                '</div>';
+        }
 
-        let defaultTime = new Date(today);
+        $status.html(html).toggle(html !== '');
+    }
 
-        // If it's past 8 PM, default to tomorrow 8 AM
-        if (currentHour >= 20) {
-            defaultTime.setDate(defaultTime.getDate() + 1);
-            defaultTime.setHours(8, 0, 0, 0);
+    /**
+     * React to a queued booking being sent, retried or rejected
+     * @param {object} event - {type, entry, error} from the submission queue
+     */
+    function handleQueueChange(event) {
+        if (event.type === 'sent') {
+            lastFetchTime = null;
+            renderQueueStatus(
+                '<div class="alert alert-success">' +
+                '<p><i class="fa fa-check-circle"></i> Your booking request for ' + describeQueuedBooking(event.entry) + ' was sent. ' +
+                'Confirmation #: <strong>' + event.entry.id + '</strong>. We will call you at <strong>' + event.entry.submissions[0].phone + '</strong> to confirm.</p>' +
+                '</div>'
+            );
+        } else if (event.type === 'failed') {
+            renderQueueStatus(
+                '<div class="alert alert-danger">' +
+                '<p><i class="fa fa-exclamation-triangle"></i> We couldn\'t send your booking request for ' + describeQueuedBooking(event.entry) + '. ' +
+                'Please call us at (980) 422-9125 and mention reference <strong>' + event.entry.id + '</strong>.</p>' +
+                '<p><strong>Error:</strong> ' + event.error.message + '</p>' +
+                '</div>'
+            );
         } else {
-            // Default to current time + 3 hours minimum
-            defaultTime = new Date(currentTime.getTime() + (3 * 60 * 60 * 1000));
-
-            // Round up to next 5-minute interval
-            const minutes = defaultTime.getMinutes();
-            const roundedMinutes = Math.ceil(minutes / 5) * 5;
-            defaultTime.setMinutes(roundedMinutes);
-            defaultTime.setSeconds(0);
-
-            // If this goes past 8 PM, move to tomorrow 8 AM
-            if (defaultTime.getHours() >= 20) {
-                defaultTime = new Date(today);
-                defaultTime.setDate(defaultTime.getDate() + 1);
-                defaultTime.setHours(8, 0, 0, 0);
-            }
+            renderQueueStatus();
         }
+    }
 
-        // Ensure minimum 3-hour buffer (no banner - just set valid default)
-        const minAllowedTime = new Date(currentTime.getTime() + (3 * 60 * 60 * 1000));
-        if (defaultTime < minAllowedTime) {
-            defaultTime = new Date(minAllowedTime);
-            const minutes = defaultTime.getMinutes();
-            const roundedMinutes = Math.ceil(minutes / 5) * 5;
-            defaultTime.setMinutes(roundedMinutes);
-            defaultTime.setSeconds(0);
-
-            // If this goes past 8 PM, move to tomorrow 8 AM
-            if (defaultTime.getHours() >= 20) {
-                defaultTime = new Date(today);
-                defaultTime.setDate(defaultTime.getDate() + 1);
-                defaultTime.setHours(8, 0, 0, 0);
-            }
-        }
+    /**
+     * Find the first open pickup time: the earliest time with enough notice and within
+     * operating hours, moved past fully booked times using the fetched bookings
+     * @param {Date} currentTime - Current time
+     * @param {object} trip - Trip being booked {pickup, destination} (optional)
+     * @returns {Promise<Date>} - First available booking time
+     */
+    async function findFirstAvailableTime(currentTime, trip) {
+        const earliest = DateTime.fromPickerDate(calculateSimpleDefaultTime(currentTime));
+        const allBookings = await fetchBookings();
+        const slots = Availability.findOpenSlots(allBookings, earliest.date, earliest.time, trip, { before: 0, after: 1 });
 
-        return defaultTime;
+        return slots.after.length > 0
+            ? DateTime.toPickerDate(slots.after[0].date, slots.after[0].time)
+            : DateTime.toPickerDate(earliest.date, earliest.time);
+    }
+
+    /**
+     * Calculate simple default booking time (synchronous version)
+     * The earliest time with the 3 hour minimum notice, moved forward into operating hours.
+     *
+     * @param {Date} currentTime - Current time
+     * @returns {Date} - Default booking time, as a picker Date (New York wall time)
+     */
+    function calculateSimpleDefaultTime(currentTime) {
+        const minAllowedTime = DateTime.toZonedPickerDate(new Date(currentTime.getTime() + (3 * 60 * 60 * 1000)));
+        return Schedule.getNextOpenTime(minAllowedTime) || minAllowedTime;
     }
 
     // =================================================================
@@ -849,39 +1786,180 @@
         const defaultDateTime = calculateSimpleDefaultTime(now);
 
         // Initialize Flatpickr
-        $('#booking-datetime').flatpickr({
+        const pickupFlatpickrInstance = $('#booking-datetime').flatpickr({
             enableTime: true,
             time_24hr: false,  // Display in 12-hour format
             dateFormat: "m/d/Y H:i:S",  // Store in 24-hour format MM/DD/YYYY HH:MM:SS
             altInput: true,
             altFormat: "m/d h:i K",  // Display in m/d format with 12-hour time and AM/PM
-            minDate: "today",
+            minDate: DateTime.toPickerDate(DateTime.getTodayKey()),  // Today in New York
             minuteIncrement: 5,
             disableMobile: "never",  // Use native mobile controls
             position: 'below',      // Critical: avoid timeline conflicts
             defaultDate: defaultDateTime,
+            disable: [Schedule.isClosedDate],  // Holidays, vacations and closed weekdays
+            onReady: function(selectedDates, dateStr, instance) {
+                applyOperatingHours(instance, selectedDates[0]);
+            },
+            onChange: function(selectedDates, dateStr, instance) {
+                applyOperatingHours(instance, selectedDates[0]);
+
+                // Follow time changes on the timeline marker while the picker is open
+                if (pickupTimeline && selectedDates[0] && Schedule.toDateKey(selectedDates[0]) === $('#booking-date').val()) {
+                    pickupTimeline.refresh(selectedDates[0].getHours() * 60 + selectedDates[0].getMinutes());
+                }
+            },
             onClose: function(selectedDates, dateStr, instance) {
                 if (selectedDates.length > 0) {
-                    const date = selectedDates[0];
-                    const formattedDate = date.toLocaleDateString('en-US');
-
-                    // TRIGGER: Existing timeline update system
-                    updateTimeline(formattedDate);
+                    const picked = DateTime.fromPickerDate(selectedDates[0]);
+                    const dateForInput = picked.date;
 
-                    // MAINTAIN: Existing form field compatibility for backward compatibility
-                    const dateForInput = date.toISOString().split('T')[0];
-                    const timeForInput = date.toTimeString().slice(0, 8);
+                    // Hidden fields hold the New York date and time
                     $('#booking-date').val(dateForInput);
-                    $('#booking-time').val(timeForInput);
+                    $('#booking-time').val(picked.time);
+
+                    updateTimeline(dateForInput);
+                    updateRecurrencePreview();
+                    checkPickupSlot();
+
+                    if ($('#availability-calendar-container').is(':visible')) {
+                        showCalendarFor(dateForInput);
+                    }
+                }
+            }
+        });
+
+        /**
+         * Set the pickup date/time (e.g. from the departing flight suggestion)
+         * @param {string} dateStr - Date in YYYY-MM-DD format
+         * @param {string} timeStr - Time in HH:MM:SS format
+         */
+        function setPickup(dateStr, timeStr) {
+            pickupFlatpickrInstance.setDate(DateTime.toPickerDate(dateStr, timeStr), false);
+            applyOperatingHours(pickupFlatpickrInstance, DateTime.toPickerDate(dateStr, timeStr));
+            $('#booking-date').val(dateStr);
+            $('#booking-time').val(timeStr);
+            $('#datetime-error').text('').hide();
+            $('#pickup-slot-suggestions').html('').hide();
+            $('#booking-datetime').closest('.form-group').removeClass('has-error');
+            updateTimeline(dateStr);
+            updateRecurrencePreview();
+        }
+
+        /**
+         * Move the default pickup past fully booked times once bookings are loaded,
+         * unless the customer has picked a time in the meantime
+         */
+        function applyFirstAvailableDefault() {
+            const defaultDate = $('#booking-date').val();
+            const defaultTime = $('#booking-time').val();
+
+            findFirstAvailableTime(new Date(), getOutboundTrip()).then(function(firstAvailable) {
+                if ($('#booking-date').val() === defaultDate && $('#booking-time').val() === defaultTime) {
+                    const pickup = DateTime.fromPickerDate(firstAvailable);
+                    setPickup(pickup.date, pickup.time);
                 }
+            });
+        }
+
+        // Nearby open time chips fill the pickup picker
+        $('#pickup-slot-suggestions').on('click', '.slot-suggestion', function() {
+            setPickup($(this).attr('data-date'), $(this).attr('data-time') + ':00');
+        });
+
+        // Picking a time on the timeline sets the pickup picker
+        pickupTimeline = Timeline.createTimeline($('#timeline-visual'), {
+            isBookable: isPickupBookable,
+            onSelect: function(minutes) {
+                setPickup($('#booking-date').val(), Availability.formatClock(minutes) + ':00');
+            }
+        });
+
+        // Availability calendar: open it on the selected date's week (or month)
+        $('#availability-calendar-toggle').on('click', async function() {
+            const $container = $('#availability-calendar-container');
+            if ($container.is(':visible')) {
+                $container.slideUp();
+                return;
+            }
+
+            await fetchBookings();
+            showCalendarFor($('#booking-date').val() || DateTime.getTodayKey());
+            $container.slideDown();
+        });
+
+        $('#availability-prev').on('click', function() {
+            stepCalendar(-1);
+        });
+        $('#availability-next').on('click', function() {
+            stepCalendar(1);
+        });
+
+        $('.availability-view-toggle button').on('click', function() {
+            calendarView = $(this).attr('data-view');
+            $(this).addClass('active').siblings().removeClass('active');
+            showCalendarFor($('#booking-date').val() || calendarStart);
+        });
+
+        // Clicking a day keeps the chosen time of day, moved forward when it's too soon or outside hours
+        $('#availability-calendar-visual').on('click', '.availability-day', function() {
+            const dateStr = $(this).attr('data-date');
+            const earliest = calculateSimpleDefaultTime(new Date());
+            let pickup = DateTime.toPickerDate(dateStr, $('#booking-time').val() || '00:00:00');
+            if (pickup < earliest) {
+                pickup = earliest;
+            }
+            pickup = DateTime.fromPickerDate(Schedule.getNextOpenTime(pickup) || pickup);
+
+            setPickup(pickup.date, pickup.time);
+            renderAvailabilityCalendar();
+        });
+
+        // Initialize Departing Flight Flatpickr (only when airport trip is selected)
+        let departureFlatpickrInstance = null;
+
+        function initializeDepartureFlatpickr() {
+            if (departureFlatpickrInstance) {
+                return;
             }
+
+            departureFlatpickrInstance = $('#booking-departure-datetime').flatpickr({
+                enableTime: true,
+                time_24hr: false,  // Display in 12-hour format
+                dateFormat: "m/d/Y H:i:S",  // Store in 24-hour format
+                altInput: true,
+                altFormat: "m/d h:i K",  // Display in m/d format with 12-hour time and AM/PM
+                minDate: DateTime.toPickerDate(DateTime.getTodayKey()),  // Today in New York
+                minuteIncrement: 5,
+                disableMobile: "never",
+                position: 'below',
+                onClose: function(selectedDates) {
+                    if (selectedDates.length > 0) {
+                        const picked = DateTime.fromPickerDate(selectedDates[0]);
+
+                        // Update hidden fields
+                        $('#booking-departure-date').val(picked.date);
+                        $('#booking-departure-time').val(picked.time);
+                        $('#departure-datetime-error').text('').hide();
+
+                        updatePickupSuggestion(setPickup);
+                    }
+                }
+            });
+        }
+
+        // Re-suggest when anything the suggestion depends on changes
+        $('#booking-international').on('change', function() {
+            updatePickupSuggestion(setPickup);
+        });
+        $('#booking-pickup, #booking-destination').on('change', function() {
+            updatePickupSuggestion(setPickup);
         });
 
         // Set initial hidden field values
-        const dateForInput = defaultDateTime.toISOString().split('T')[0];
-        const timeForInput = defaultDateTime.toTimeString().slice(0, 8);
-        $('#booking-date').val(dateForInput);
-        $('#booking-time').val(timeForInput);
+        const defaultPickup = DateTime.fromPickerDate(defaultDateTime);
+        $('#booking-date').val(defaultPickup.date);
+        $('#booking-time').val(defaultPickup.time);
 
         // Initialize Return Flight Flatpickr (only when round trip is selected)
         let returnFlatpickrInstance = null;
@@ -897,19 +1975,19 @@
                 dateFormat: "m/d/Y H:i:S",  // Store in 24-hour format
                 altInput: true,
                 altFormat: "m/d h:i K",  // Display in m/d format with 12-hour time and AM/PM
-                minDate: "today",
+                minDate: DateTime.toPickerDate(DateTime.getTodayKey()),  // Today in New York
                 minuteIncrement: 5,
                 disableMobile: "never",
                 position: 'below',
+                disable: [Schedule.isClosedDate],  // Return pickups follow the same schedule
                 onClose: function(selectedDates, dateStr, instance) {
                     if (selectedDates.length > 0) {
-                        const date = selectedDates[0];
+                        const picked = DateTime.fromPickerDate(selectedDates[0]);
+                        const dateForInput = picked.date;
 
                         // Update hidden fields
-                        const dateForInput = date.toISOString().split('T')[0];
-                        const timeForInput = date.toTimeString().slice(0, 8);
                         $('#booking-return-date').val(dateForInput);
-                        $('#booking-return-time').val(timeForInput);
+                        $('#booking-return-time').val(picked.time);
 
                         // Update return timeline with correct date format (YYYY-MM-DD)
                         updateReturnTimeline(dateForInput);
@@ -917,11 +1995,32 @@
                         // Validate return date is after pickup date
                         const pickupDateTime = $('#booking-datetime').val();
                         validateReturnFlight(pickupDateTime, dateStr);
+
+                        checkFlightSchedule(setReturnLanding);
                     }
                 }
             });
         }
 
+        /**
+         * Set the return landing date/time (e.g. from the flight schedule)
+         * @param {string} dateStr - Date in YYYY-MM-DD format
+         * @param {string} timeStr - Time in HH:MM:SS format
+         */
+        function setReturnLanding(dateStr, timeStr) {
+            if (returnFlatpickrInstance) {
+                returnFlatpickrInstance.setDate(DateTime.toPickerDate(dateStr, timeStr), false);
+            }
+            $('#booking-return-date').val(dateStr);
+            $('#booking-return-time').val(timeStr);
+            updateReturnTimeline(dateStr);
+        }
+
+        // Check the return flight's schedule once its number is entered
+        $('#booking-flight').on('change', function() {
+            checkFlightSchedule(setReturnLanding);
+        });
+
         // Initialize return Flatpickr when round trip is checked
         $('#booking-round-trip').on('change', function() {
             if ($(this).is(':checked')) {
@@ -931,55 +2030,37 @@
             }
         });
 
-        // Pre-fetch bookings to warm cache
-        fetchBookings();
+        // Fetch bookings (warming the cache) and start from the first open time
+        applyFirstAvailableDefault();
 
-        // Show/hide conditional fields based on airport trip selection
-        $('input[name="airport-trip"]').on('change', function() {
-            updateConditionalFields();
+        /**
+         * Initialize the departure picker and flight number formatters for an airport trip
+         */
+        function initializeAirportFields() {
+            initializeDepartureFlatpickr();
 
-            // Initialize flight formatter if airport trip is "Yes"
-            if ($(this).val() === 'Yes') {
-                setTimeout(function() {
-                    $('#booking-flight').off('input.flight').on('input.flight', function() {
-                        let value = $(this).val().toUpperCase().replace(/[^A-Z0-9]/g, '');
+            $('#booking-flight, #booking-departure-flight').off('input.flight').on('input.flight', function() {
+                const value = $(this).val().toUpperCase().replace(/[^A-Z0-9]/g, '').substring(0, 8);
 
-                        // Limit to reasonable flight number length (max 2-3 letters + 4 digits = 6-7 characters)
-                        if (value.length > 7) {
-                            value = value.substring(0, 7);
-                        }
+                // Format as "B6 123" once the airline code and number can be told apart
+                const parsed = Airlines.parseFlightNumber(value);
+                $(this).val(parsed ? parsed.display : value);
+                updateAirlineName($(this), parsed);
 
-                        // Format as "AB 1234" (letters + space + numbers)
-                        let formattedValue = '';
-                        if (value.length > 0) {
-                            // Find the split point between letters and numbers
-                            let letterPart = '';
-                            let numberPart = '';
-
-                            for (let i = 0; i < value.length; i++) {
-                                if (/[A-Z]/.test(value[i]) && numberPart === '') {
-                                    letterPart += value[i];
-                                } else {
-                                    numberPart += value[i];
-                                }
-                            }
-
-                            // Format: if we have both letters and numbers, add space between them
-                            if (letterPart && numberPart) {
-                                formattedValue = letterPart + ' ' + numberPart;
-                            } else {
-                                formattedValue = value; // Either only letters or only numbers
-                            }
-                        }
+                // Clear error if flight number becomes valid
+                if (parsed) {
+                    $(this).closest('.form-group').find('.help-block.text-danger').text('').hide();
+                }
+            });
+        }
 
-                        $(this).val(formattedValue);
+        // Show/hide conditional fields based on airport trip selection
+        $('input[name="airport-trip"]').on('change', function() {
+            updateConditionalFields();
 
-                        // Clear error if flight number becomes valid
-                        if (validateFlightNumber(formattedValue)) {
-                            $(this).closest('.form-group').find('.help-block').text('').hide();
-                        }
-                    });
-                }, 100); // Small delay to ensure the field is visible
+            // Initialize flight formatters and the departure picker if airport trip is "Yes"
+            if ($(this).val() === 'Yes') {
+                setTimeout(initializeAirportFields, 100); // Small delay to ensure the field is visible
             }
         });
 
@@ -1009,6 +2090,164 @@
             updatePassengerCapacity();
         });
 
+        // Intermediate stops
+        $('#add-stop-btn').on('click', function() {
+            addStop();
+            $('#booking-stops .stop-address').last().focus();
+        });
+
+        $('#booking-stops').on('click', '.remove-stop-btn', function() {
+            $(this).closest('.booking-stop').remove();
+            updateStopControls();
+            updatePassengerCapacity();
+            updateQuote();
+            refreshVisibleTimelines(); // Shorter route
+        });
+
+        $('#booking-stops').on('input', '.stop-passengers', function() {
+            $(this).closest('.form-group').removeClass('has-error');
+            updatePassengerCapacity();
+            updateQuote();
+        });
+
+        $('#booking-stops').on('input', '.stop-address', function() {
+            $(this).closest('.form-group').removeClass('has-error');
+        });
+
+        // Stops lengthen the ride, so redraw timelines like an address change
+        $('#booking-stops').on('change', '.stop-address', refreshVisibleTimelines);
+
+        // Recurring ride options
+        $('#booking-repeat').on('change', function() {
+            if ($(this).is(':checked')) {
+                // Start with the weekday of the chosen pickup date
+                const pickupDate = $('#booking-date').val();
+                if (pickupDate && $('input[name="recurrence-weekday"]:checked').length === 0) {
+                    $('input[name="recurrence-weekday"][value="' + Recurrence.getWeekday(pickupDate) + '"]').prop('checked', true);
+                }
+                $('#recurrence-section').slideDown();
+            } else {
+                $('#recurrence-section').slideUp();
+            }
+            updateRecurrencePreview();
+        });
+
+        $('#recurrence-frequency').on('change', function() {
+            const weekly = $(this).val() === 'weekly';
+            $('#recurrence-weekdays-group').toggle(weekly);
+            $('#recurrence-interval-group').toggle(!weekly);
+            updateRecurrencePreview();
+        });
+
+        $('input[name="recurrence-end"]').on('change', function() {
+            const byCount = $('input[name="recurrence-end"]:checked').val() === 'count';
+            $('#recurrence-count-group').toggle(byCount);
+            $('#recurrence-until-group').toggle(!byCount);
+            updateRecurrencePreview();
+        });
+
+        $('input[name="recurrence-weekday"], #recurrence-interval, #recurrence-count, #recurrence-until').on('change input', function() {
+            updateRecurrencePreview();
+        });
+
+        // Recalculate quote whenever a fare input changes
+        $('input[name="airport-trip"], #booking-round-trip, #booking-checking-bags').on('change', function() {
+            updateQuote();
+        });
+
+        $('#booking-pickup, #booking-destination, #booking-passengers').on('input', function() {
+            updateQuote();
+        });
+
+        /**
+         * Fill the form from a saved draft
+         * Pickers are set from their hidden New York date/time fields; a pickup
+         * that has passed (or falls on a closed day) keeps today's default.
+         *
+         * @param {object} fields - Draft from collectDraftFields()
+         */
+        function restoreDraft(fields) {
+            DRAFT_VALUE_FIELDS.forEach(function(id) {
+                if (fields.values[id] !== undefined) {
+                    $('#' + id).val(fields.values[id]);
+                }
+            });
+            DRAFT_CHECKBOXES.forEach(function(id) {
+                $('#' + id).prop('checked', !!fields.checked[id]);
+            });
+            $('input[name="recurrence-end"][value="' + (fields.recurrenceEnd || 'count') + '"]').prop('checked', true);
+            $('input[name="recurrence-weekday"]').each(function() {
+                $(this).prop('checked', (fields.recurrenceWeekdays || []).indexOf($(this).val()) !== -1);
+            });
+
+            $('#booking-stops').empty();
+            (fields.stops || []).slice(0, MAX_STOPS).forEach(function(stop) {
+                addStop();
+                const $stop = $('#booking-stops .booking-stop').last();
+                $stop.find('.stop-address').val(stop.address);
+                $stop.find('.stop-passengers').val(stop.passengers || 1);
+            });
+            updateStopControls();
+
+            updateConditionalFields();
+
+            if (fields.checked['airport-trip-yes']) {
+                initializeAirportFields();
+                $('#booking-flight, #booking-departure-flight').trigger('input.flight');
+
+                if (fields.departure.date && fields.departure.date >= DateTime.getTodayKey()) {
+                    departureFlatpickrInstance.setDate(DateTime.toPickerDate(fields.departure.date, fields.departure.time), false);
+                    $('#booking-departure-date').val(fields.departure.date);
+                    $('#booking-departure-time').val(fields.departure.time);
+                }
+
+                if (fields.checked['booking-round-trip']) {
+                    initializeReturnFlatpickr();
+                    if (fields.returnLanding.date && fields.returnLanding.date >= DateTime.getTodayKey()) {
+                        setReturnLanding(fields.returnLanding.date, fields.returnLanding.time);
+                    }
+                }
+            }
+
+            const pickup = fields.pickup;
+            if (pickup.date && pickup.time && pickup.date >= DateTime.getTodayKey() &&
+                !Schedule.isClosedDate(DateTime.toPickerDate(pickup.date))) {
+                setPickup(pickup.date, pickup.time);
+                checkPickupSlot();
+            }
+
+            // Sections shown by their own checkboxes and selects
+            $('#booking-other-requirement, #booking-repeat, #recurrence-frequency').trigger('change');
+            $('input[name="recurrence-end"]:checked').trigger('change');
+
+            updatePassengerCapacity();
+            updateQuote();
+        }
+
+        // Returning customer profile: saved addresses fill the field they're offered for
+        $('.saved-address-select').on('change', function() {
+            const profile = CustomerProfile.loadProfile();
+            const entry = profile && profile.addresses[$(this).val()];
+            if (entry) {
+                const $target = $($(this).attr('data-target'));
+                $target.val(entry.address).trigger('input').trigger('change');
+                $('#' + $target.attr('id') + '-label').val(entry.label);
+            }
+            $(this).val('');
+        });
+
+        $('#booking-remember').on('change', updateProfileControls);
+        $('#booking-forget-me').on('click', forgetCustomer);
+
+        // Save a draft as the customer fills in the form, and right away when the tab is hidden or closed
+        $form.on('input change', saveDraftSoon);
+        $(document).on('visibilitychange', function() {
+            if (document.visibilityState === 'hidden') {
+                saveDraftNow();
+            }
+        });
+        $(window).on('pagehide', saveDraftNow);
+
         // Clear datetime error when date changes (handled by Flatpickr onClose)
         $('#booking-datetime').on('change', function() {
             $('#datetime-error').text('').hide();
@@ -1084,6 +2323,18 @@
             }
         });
 
+        // Check addresses against the service areas once the customer leaves the field
+        $('#booking-pickup').on('change', function() {
+            updateServiceAreaWarning($(this), $('#pickup-area-warning'));
+        });
+
+        $('#booking-destination').on('change', function() {
+            updateServiceAreaWarning($(this), $('#destination-area-warning'));
+        });
+
+        // Blocked windows depend on the trip's drive time, so redraw timelines when addresses change
+        $('#booking-pickup, #booking-destination').on('change', refreshVisibleTimelines);
+
         // Clear "Other" requirement error when user types
         $('#booking-other-text').on('input', function() {
             if ($(this).val().trim()) {
@@ -1144,13 +2395,21 @@
                 specialNotes: $('#booking-notes').val().trim(),
                 airportTrip: $('input[name="airport-trip"]:checked').val(),
                 flightNumber: $('#booking-flight').val().trim(),
+                flightId: Airlines.normalizeFlightNumber($('#booking-flight').val()),
+                departureFlightNumber: $('#booking-departure-flight').val().trim(),
+                departureFlightId: Airlines.normalizeFlightNumber($('#booking-departure-flight').val()),
+                departureDate: $('#booking-departure-date').val(),
+                departureTime: $('#booking-departure-time').val(),
+                internationalFlight: $('#booking-international').is(':checked') ? 'Yes' : 'No',
                 pickupTime: pickupTime,
                 checkingBags: $('#booking-checking-bags').is(':checked') ? 'Yes' : 'No',
                 roundTrip: $('#booking-round-trip').is(':checked') ? 'Yes' : 'No',
                 returnDate: returnDate,
                 returnTime: returnTime,
                 specialRequirements: specialRequirements,
-                otherRequirementText: otherRequirementText
+                otherRequirementText: otherRequirementText,
+                stops: getStops(),
+                confirmationCode: generateConfirmationCode()
             };
 
             // Validation
@@ -1207,6 +2466,11 @@
                 isValid = false;
             }
 
+            // Service area check (warning only, submission is tagged for follow-up)
+            formData.serviceArea = ServiceAreas.checkTrip(formData.pickupAddress, formData.destinationAddress).tag;
+            updateServiceAreaWarning($('#booking-pickup'), $('#pickup-area-warning'));
+            updateServiceAreaWarning($('#booking-destination'), $('#destination-area-warning'));
+
             // Airport trip validation
             if (!formData.airportTrip) {
                 errors.push('Please indicate if this is an airport trip');
@@ -1217,7 +2481,21 @@
             // Validate flight number if airport trip is yes
             if (formData.airportTrip === 'Yes' && formData.flightNumber && !validateFlightNumber(formData.flightNumber)) {
                 errors.push('Please enter a valid flight number (e.g., AA1234)');
-                $('#booking-flight').closest('.form-group').addClass('has-error').find('.help-block').text('Please enter a valid flight number (e.g., AA1234)').show();
+                $('#booking-flight').closest('.form-group').addClass('has-error').find('.help-block.text-danger').text('Please enter a valid flight number (e.g., AA1234)').show();
+                isValid = false;
+            }
+
+            // Validate the departing flight: a real flight number, and a pickup before it leaves
+            if (formData.airportTrip === 'Yes' && formData.departureFlightNumber && !validateFlightNumber(formData.departureFlightNumber)) {
+                errors.push('Please enter a valid departing flight number (e.g., AA1234)');
+                $('#booking-departure-flight').closest('.form-group').addClass('has-error').find('.help-block.text-danger').text('Please enter a valid flight number (e.g., AA1234)').show();
+                isValid = false;
+            }
+            if (formData.airportTrip === 'Yes' && formData.departureDate && formData.departureTime && pickupDate && pickupTime &&
+                pickupDate + 'T' + pickupTime >= formData.departureDate + 'T' + formData.departureTime) {
+                errors.push('Your pickup must be before your flight departs');
+                $('#departure-datetime-error').text('Your pickup must be before your flight departs').show();
+                $('#booking-departure-datetime').closest('.form-group').addClass('has-error');
                 isValid = false;
             }
 
@@ -1240,14 +2518,31 @@
             };
 
             const maxCapacity = calculatePassengerCapacity(requirements);
-            const passengerCount = parseInt(formData.passengers) || 1;
+            const passengerCount = getTotalPassengers();
 
             if (passengerCount > maxCapacity) {
-                errors.push('Maximum ' + maxCapacity + ' passengers allowed with selected special requirements');
+                errors.push(formData.stops.length > 0
+                    ? 'Total riders including stops (' + passengerCount + ') exceeds the ' + maxCapacity + ' seats in one vehicle'
+                    : 'Maximum ' + maxCapacity + ' passengers allowed with selected special requirements');
                 $('#booking-passengers').closest('.form-group').addClass('has-error');
                 isValid = false;
             }
 
+            // Validate intermediate stops
+            formData.stops.forEach(function(stop, index) {
+                const $stop = $('#booking-stops .booking-stop').eq(index);
+                if (!stop.address) {
+                    errors.push('Please enter an address for stop ' + (index + 1));
+                    $stop.find('.stop-address').closest('.form-group').addClass('has-error');
+                    isValid = false;
+                }
+                if (stop.passengers < 1) {
+                    errors.push('Please enter how many riders join at stop ' + (index + 1));
+                    $stop.find('.stop-passengers').closest('.form-group').addClass('has-error');
+                    isValid = false;
+                }
+            });
+
             // Validate return flight fields if round trip is yes
             if (formData.roundTrip === 'Yes') {
                 // Return datetime validation
@@ -1267,12 +2562,62 @@
                 }
             }
 
+            // Expand a recurring ride so every occurrence is checked before anything is sent
+            let occurrences = [formData];
+            const recurrenceRule = getRecurrenceRule();
+            if (recurrenceRule && errors.length === 0) {
+                const recurrenceError = validateRecurrenceRule(recurrenceRule);
+                if (recurrenceError) {
+                    errors.push(recurrenceError);
+                } else {
+                    occurrences = expandRecurringBooking(formData, recurrenceRule).bookings;
+                    if (occurrences.length === 0) {
+                        errors.push('None of the repeat days fall within the next ' + Recurrence.RECURRENCE_LIMITS.bookingWindowDays + ' days');
+                    }
+                }
+            }
+
+            // Catch a ride that was already requested before checking availability,
+            // where the original request would show up as a conflict with itself
+            if (errors.length === 0) {
+                const duplicate = DuplicateGuard.findDuplicate([].concat.apply([], occurrences.map(buildSubmissions)), await fetchBookings());
+                if (duplicate && duplicate.fingerprint !== allowedDuplicateFingerprint) {
+                    showDuplicatePrompt(duplicate, function() {
+                        allowedDuplicateFingerprint = duplicate.fingerprint;
+                        $form.trigger('submit');
+                    });
+                    return;
+                }
+                allowedDuplicateFingerprint = null;
+            }
+
             // Re-validate date/time against latest bookings
             if (formData.pickupDate && formData.pickupTime) {
-                const dateTimeValidation = await validateDateTime(formData.pickupDate, formData.pickupTime);
+                const dateTimeValidation = await validateDateTime(formData.pickupDate, formData.pickupTime, getOutboundTrip());
                 if (!dateTimeValidation.valid) {
                     errors.push(dateTimeValidation.error);
                 }
+                if (dateTimeValidation.suggestions) {
+                    $('#pickup-slot-suggestions').html(Availability.buildSlotChips(dateTimeValidation.suggestions, formData.pickupDate)).show();
+                }
+            }
+
+            // The return pickup (landing plus deplaning) needs a free vehicle too
+            if (formData.roundTrip === 'Yes' && formData.returnDate && formData.returnTime) {
+                const returnPickup = Availability.getReturnPickup(formData.returnDate, formData.returnTime);
+                const returnValidation = await validateDateTime(returnPickup.date, returnPickup.time, getReturnTrip());
+                if (!returnValidation.valid) {
+                    errors.push('Return pickup: ' + returnValidation.error);
+                }
+            }
+
+            // Check every ride of a recurring series
+            if (recurrenceRule && errors.length === 0) {
+                const conflicts = await findRecurringConflicts(occurrences);
+                if (conflicts.length > 0) {
+                    errors.push('These rides can\'t be booked: ' + conflicts.join('; ') +
+                                '. Please choose a different time or schedule, or call (980) 422-9125.');
+                }
             }
 
             if (errors.length > 0) {
@@ -1292,37 +2637,79 @@
             // Show submitting state
             const $submitBtn = $form.find('button[type="submit"]');
             const originalBtnText = $submitBtn.html();
-            $submitBtn.html('<i class="fa fa-spinner fa-spin"></i> Submitting...').prop('disabled', true);
+            $submitBtn.html('<i class="fa fa-spinner fa-spin"></i> Submitting and confirming...').prop('disabled', true);
 
             try {
-                // Handle dual submission for round-trip bookings
-                const submissions = await handleDualSubmission(formData);
+                // Handle dual submission for round-trip bookings (once per ride of a recurring series)
+                const results = occurrences.length > 1
+                    ? await submitSeries(occurrences)
+                    : [await handleDualSubmission(formData)];
+                const sent = results.filter(occurrenceResult => !occurrenceResult.failed);
+                if (sent.length === 0) {
+                    throw new Error('No rides of the series could be sent');
+                }
+                sent.forEach(function(occurrenceResult) {
+                    DuplicateGuard.recordSubmissions(occurrenceResult.submissions, occurrenceResult.confirmationCode);
+                });
+                discardDraft();
+                rememberCustomer(formData);
+                const result = results[0];
 
                 // Create appropriate success message
-                let successHtml =
-                    '<div class="alert alert-success">' +
-                    '<h4><i class="fa fa-check-circle"></i> Booking Request' + (formData.roundTrip === 'Yes' ? 's' : '') + ' Submitted!</h4>' +
-                    '<p>Thank you, <strong>' + formData.name + '</strong>!</p>';
-
-                if (formData.roundTrip === 'Yes') {
-                    successHtml +=
-                        '<p>Your round-trip booking requests have been received:</p>' +
-                        '<ul style="text-align: left; display: inline-block;">' +
-                        '<li><strong>Outbound:</strong> ' + formatDisplayDate(formData.pickupDate) + ' at ' + formData.pickupTime + '</li>' +
-                        '<li><strong>Return:</strong> ' + formatDisplayDate(formData.returnDate) + ' at ' + formData.returnTime + '</li>' +
-                        '</ul>' +
-                        '<p>We will call you at <strong>' + formData.phone + '</strong> to confirm both bookings.</p>';
+                let successHtml;
+
+                if (occurrences.length > 1) {
+                    successHtml = buildSeriesResultHtml(formData, recurrenceRule, occurrences, results);
+                    renderQueueStatus();
+                } else if (result.queued) {
+                    // No connection: the request is saved and will be sent by the queue
+                    successHtml =
+                        '<div class="alert alert-info">' +
+                        '<h4><i class="fa fa-clock-o"></i> Booking Request Saved</h4>' +
+                        '<p>Thank you, <strong>' + formData.name + '</strong>. We couldn\'t reach our booking system, so your request is saved on this device and will be sent automatically when you\'re back online.</p>' +
+                        '<p>Reference: <strong>' + result.confirmationCode + '</strong></p>' +
+                        '</div>';
+                    renderQueueStatus();
+                } else if (!result.confirmed) {
+                    // The request was sent but never showed up in storage before verification timed out
+                    successHtml =
+                        '<div class="alert alert-warning">' +
+                        '<h4><i class="fa fa-exclamation-triangle"></i> We Couldn\'t Confirm Your Booking</h4>' +
+                        '<p>Thank you, <strong>' + formData.name + '</strong>. Your request was sent, but we could not confirm that it reached us.</p>' +
+                        '<p>Please call <a href="tel:+19804229125"><strong>(980) 422-9125</strong></a> so we can make sure your ride is booked, ' +
+                        'and mention reference <strong>' + result.confirmationCode + '</strong>.</p>' +
+                        '</div>';
                 } else {
+                    successHtml =
+                        '<div class="alert alert-success">' +
+                        '<h4><i class="fa fa-check-circle"></i> Booking Request' + (formData.roundTrip === 'Yes' ? 's' : '') + ' Received!</h4>' +
+                        '<p>Thank you, <strong>' + formData.name + '</strong>!</p>' +
+                        '<p class="booking-confirmation-code">Confirmation #: <strong>' + result.confirmationCode + '</strong></p>';
+
+                    if (formData.roundTrip === 'Yes') {
+                        // The return leg is picked up after the flight lands, not at the landing time
+                        const returnLeg = result.submissions.find(leg => leg.isReturnFlight === 'Yes');
+                        successHtml +=
+                            '<p>Your round-trip booking requests have been received:</p>' +
+                            '<ul style="text-align: left; display: inline-block;">' +
+                            '<li><strong>Outbound:</strong> ' + formatDisplayDate(formData.pickupDate) + ' at ' + formData.pickupTime + '</li>' +
+                            '<li><strong>Return pickup:</strong> ' + formatDisplayDate(returnLeg.pickupDate) + ' at ' + returnLeg.pickupTime + '</li>' +
+                            '</ul>' +
+                            '<p>We will call you at <strong>' + formData.phone + '</strong> to confirm both bookings.</p>';
+                    } else {
+                        successHtml +=
+                            '<p>Your booking request for <strong>' + formatDisplayDate(formData.pickupDate) + '</strong> at <strong>' + formData.pickupTime + '</strong> has been received.</p>' +
+                            '<p>We will call you at <strong>' + formData.phone + '</strong> to confirm your booking.</p>';
+                    }
+
+                    successHtml += buildCalendarLinksHtml(result.submissions);
+
                     successHtml +=
-                        '<p>Your booking request for <strong>' + formatDisplayDate(formData.pickupDate) + '</strong> at <strong>' + formData.pickupTime + '</strong> has been received.</p>' +
-                        '<p>We will call you at <strong>' + formData.phone + '</strong> to confirm your booking.</p>';
+                        '<hr>' +
+                        '<p><strong>Important:</strong> Keep your confirmation number to look up, change or cancel your ride under Manage My Booking. Your booking' + (formData.roundTrip === 'Yes' ? 's are' : ' is') + ' not confirmed until you receive a call from us. If you don\'t hear from us within 2 hours, please call (980) 422-9125.</p>' +
+                        '</div>';
                 }
 
-                successHtml +=
-                    '<hr>' +
-                    '<p><strong>Important:</strong> Your booking' + (formData.roundTrip === 'Yes' ? 's are' : ' is') + ' not confirmed until you receive a call from us. If you don\'t hear from us within 2 hours, please call (980) 422-9125.</p>' +
-                    '</div>';
-
                 $('#booking-success').html(successHtml).show();
 
                 // Hide the form (like contact form)
@@ -1348,11 +2735,29 @@
                         $form[0].reset();
                         $('#booking-success').html('').hide();
                         $('#timeline-container').hide();
+                        $('#availability-calendar-container').hide();
                         $('#checking-bags-section').hide();
                         $('#round-trip-section').hide();
                         $('#return-flight-section').hide();
                         $('#return-timeline-container').hide();
                         $('#other-requirement-section').hide();
+                        $('#recurrence-section').hide();
+                        $('#booking-stops').empty();
+                        $('#flight-schedule-status').html('').hide();
+                        $('.flight-airline').text('').hide();
+                        $('#departure-flight-section').hide();
+                        $('#departure-pickup-suggestion').html('').hide();
+                        if (departureFlatpickrInstance) {
+                            departureFlatpickrInstance.clear();
+                        }
+                        $('#booking-departure-date, #booking-departure-time').val('');
+                        prefilledFlightKey = null;
+                        applyProfile();
+                        updateStopControls();
+                        updatePassengerCapacity();
+                        $('#recurrence-preview').text('');
+                        $('#pickup-area-warning, #destination-area-warning').text('').hide();
+                        updateQuote();
                         $form.slideDown();
 
                         // Re-calculate default datetime using simple calculation
@@ -1360,14 +2765,15 @@
                         const newDefaultDateTime = calculateSimpleDefaultTime(now);
 
                         // Reset Flatpickr to new default time
-                        $('#booking-datetime').flatpickr('setDate', newDefaultDateTime);
+                        pickupFlatpickrInstance.setDate(newDefaultDateTime, false);
+                        applyOperatingHours(pickupFlatpickrInstance, newDefaultDateTime);
 
                         // Update hidden fields for timeline
-                        const dateForInput = newDefaultDateTime.toISOString().split('T')[0];
-                        const timeForInput = newDefaultDateTime.toTimeString().slice(0, 8);
-                        $('#booking-date').val(dateForInput);
-                        $('#booking-time').val(timeForInput);
-                        updateTimeline(dateForInput);
+                        const newDefaultPickup = DateTime.fromPickerDate(newDefaultDateTime);
+                        $('#booking-date').val(newDefaultPickup.date);
+                        $('#booking-time').val(newDefaultPickup.time);
+                        updateTimeline(newDefaultPickup.date);
+                        applyFirstAvailableDefault();
 
                         // Scroll back to form
                         $('html, body').animate({
@@ -1395,13 +2801,32 @@
         });
 
         // Initialize timeline with default date and cache bookings
-        const todayForTimeline = defaultDateTime.toISOString().split('T')[0];
-        updateTimeline(todayForTimeline, function(bookings) {
+        updateTimeline(defaultPickup.date, function(bookings) {
             currentDateBookings = bookings;
         });
 
         // Initialize passenger capacity display
         updatePassengerCapacity();
+
+        // Initialize quote panel (hidden until an airport trip is selected)
+        updateQuote();
+
+        // Send any bookings queued while offline (here or on an earlier visit)
+        const submissionProcessor = SubmissionQueue.createProcessor(function(submission) {
+            return bookingStore.createBooking(submission);
+        }, handleQueueChange);
+        renderQueueStatus();
+        submissionProcessor.flush(true);
+
+        // Fill in a returning customer's details
+        renderAddressLabelOptions();
+        applyProfile();
+
+        // Offer back a booking left unfinished on an earlier visit
+        const draft = BookingDraft.loadDraft();
+        if (draft && hasDraftContent(draft.fields)) {
+            showDraftPrompt(draft, restoreDraft);
+        }
     });
 
     })(jQuery);
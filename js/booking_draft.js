@@ -0,0 +1,95 @@
+/**
+ * Midnight Express LKN - Booking Drafts
+ *
+ * Keeps an unfinished booking form in localStorage so a reloaded or
+ * discarded tab (common on mobile) doesn't lose it. The form saves its
+ * fields as the customer types; on the next visit the customer is offered
+ * "Resume your booking?" and the form restores them.
+ *
+ * One draft per browser. It is cleared once the booking is sent (or queued)
+ * and expires after a few days, since it holds the customer's contact details.
+ */
+
+(function(window) {
+    "use strict";
+
+    // =================================================================
+    // CONFIGURATION
+    // =================================================================
+
+    const DRAFT_CONFIG = {
+        storageKey: 'midnightExpress.bookingDraft',
+        version: 1, // Bump when the saved fields change shape
+        retentionMs: 3 * 24 * 60 * 60 * 1000
+    };
+
+    // =================================================================
+    // PERSISTENCE
+    // =================================================================
+
+    /**
+     * Save the form fields as the draft
+     * @param {object} fields - Form fields collected by js/booking.js
+     */
+    function saveDraft(fields) {
+        try {
+            window.localStorage.setItem(DRAFT_CONFIG.storageKey, JSON.stringify({
+                version: DRAFT_CONFIG.version,
+                savedAt: Date.now(),
+                fields: fields
+            }));
+        } catch (error) {
+            console.warn('Could not save booking draft:', error.message);
+        }
+    }
+
+    /**
+     * Remove the draft
+     */
+    function clearDraft() {
+        try {
+            window.localStorage.removeItem(DRAFT_CONFIG.storageKey);
+        } catch (error) {
+            console.warn('Could not clear booking draft:', error.message);
+        }
+    }
+
+    /**
+     * Read the draft, dropping it when it has expired or is from an older version
+     * @returns {object|null} - {savedAt, fields}
+     */
+    function loadDraft() {
+        let draft = null;
+        try {
+            const raw = window.localStorage.getItem(DRAFT_CONFIG.storageKey);
+            draft = raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.warn('Booking draft unavailable:', error.message);
+            return null;
+        }
+
+        if (!draft) {
+            return null;
+        }
+
+        if (draft.version !== DRAFT_CONFIG.version || !draft.fields ||
+            !(draft.savedAt >= Date.now() - DRAFT_CONFIG.retentionMs)) {
+            clearDraft();
+            return null;
+        }
+
+        return {
+            savedAt: draft.savedAt,
+            fields: draft.fields
+        };
+    }
+
+    window.MidnightExpress = window.MidnightExpress || {};
+    window.MidnightExpress.bookingDraft = {
+        DRAFT_CONFIG: DRAFT_CONFIG,
+        saveDraft: saveDraft,
+        loadDraft: loadDraft,
+        clearDraft: clearDraft
+    };
+
+})(window);
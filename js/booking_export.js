@@ -0,0 +1,370 @@
+/**
+ * Midnight Express LKN - Booking Export
+ *
+ * Turns the booking list into files for the owner and drivers:
+ * - CSV with one row per ride and a column for every field the booking form
+ *   sends to Google Sheets (the notes tags are split into their own columns)
+ * - iCalendar (.ics) with one VEVENT per ride, spanning the ride's blocked
+ *   window (drive to the pickup through the return to base), so a driver can
+ *   subscribe from a phone calendar
+ *
+ * Used by the dispatch board's export buttons and by the REST server's
+ * /api/bookings.csv and /api/bookings.ics feeds. The iCalendar helpers are
+ * shared with the customer's add-to-calendar links (js/calendar_links.js).
+ */
+
+(function(window) {
+    "use strict";
+
+    // =================================================================
+    // CONFIGURATION
+    // =================================================================
+
+    const CALENDAR_CONFIG = {
+        name: 'Midnight Express LKN Rides',
+        productId: '-//Midnight Express LKN//Bookings//EN',
+        uidDomain: 'midnightexpresslkn.com'
+    };
+
+    /**
+     * Special requirement values from the booking form
+     */
+    const REQUIREMENT_LABELS = {
+        'Wheelchair': 'Wheelchair',
+        'Carseat': 'Car seat'
+    };
+
+    // =================================================================
+    // BOOKING FIELDS
+    // =================================================================
+
+    /**
+     * Pickup date of a booking (form submissions say pickupDate, the feed says date)
+     * @param {object} booking - Booking from the feed
+     * @returns {string} - Date in YYYY-MM-DD format
+     */
+    function getPickupDate(booking) {
+        return booking.pickupDate || booking.date || '';
+    }
+
+    /**
+     * Whether a booking's pickup date and time can be read
+     * Rows typed into the sheet by hand (or sent by an old client) may not
+     * parse; the CSV keeps them as entered and the calendar leaves them out.
+     *
+     * @param {object} booking - Booking from the feed
+     * @returns {boolean}
+     */
+    function hasValidPickup(booking) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(getPickupDate(booking))) {
+            return false;
+        }
+        try {
+            const time = window.MidnightExpress.datetime.parseTime(booking.pickupTime || booking.time);
+            return time.hours >= 0 && time.hours < 24 && time.minutes >= 0 && time.minutes < 60;
+        } catch (error) {
+            return false; // Not a time at all (Intl rejects the invalid date)
+        }
+    }
+
+    /**
+     * Pickup time of a booking with a valid pickup (see hasValidPickup())
+     * @param {object} booking - Booking from the feed
+     * @returns {string} - Time in HH:MM:SS format
+     */
+    function getPickupTime(booking) {
+        const time = window.MidnightExpress.datetime.parseTime(booking.pickupTime || booking.time);
+        return String(time.hours).padStart(2, '0') + ':' + String(time.minutes).padStart(2, '0') + ':00';
+    }
+
+    /**
+     * Special requirements, e.g. "Wheelchair; Other: help with bags"
+     * @param {object} booking - Booking from the feed
+     * @returns {string}
+     */
+    function describeRequirements(booking) {
+        const requirements = Array.isArray(booking.specialRequirements)
+            ? booking.specialRequirements
+            : String(booking.specialRequirements || '').split(',').map(function(requirement) {
+                return requirement.trim();
+            }).filter(Boolean);
+
+        return requirements.map(function(requirement) {
+            if (requirement === '__other_option__') {
+                return 'Other: ' + (booking.otherRequirementText || '');
+            }
+            return REQUIREMENT_LABELS[requirement] || requirement;
+        }).join('; ');
+    }
+
+    /**
+     * Join a date and time that may both be blank
+     * @param {string} dateStr - Date (optional)
+     * @param {string} timeStr - Time (optional)
+     * @returns {string}
+     */
+    function joinDateTime(dateStr, timeStr) {
+        return [dateStr, timeStr].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Sort bookings by pickup
+     * @param {Array} bookings - Bookings from the feed
+     * @returns {Array} - New array, earliest pickup first, then any whose pickup can't be read
+     */
+    function sortByPickup(bookings) {
+        const unreadable = bookings.filter(function(booking) {
+            return !hasValidPickup(booking);
+        });
+
+        return bookings.filter(hasValidPickup).sort(function(a, b) {
+            return (getPickupDate(a) + 'T' + getPickupTime(a)).localeCompare(getPickupDate(b) + 'T' + getPickupTime(b));
+        }).concat(unreadable);
+    }
+
+    // =================================================================
+    // CSV
+    // =================================================================
+
+    /**
+     * CSV columns, in the order of the Google Form fields
+     */
+    const CSV_COLUMNS = [
+        { header: 'Confirmation Code', value: function(booking) { return window.MidnightExpress.storage.getConfirmationCode(booking); } },
+        { header: 'Name', value: function(booking) { return booking.name; } },
+        { header: 'Phone', value: function(booking) { return booking.phone; } },
+        { header: 'Email', value: function(booking) { return booking.email; } },
+        { header: 'Pickup Date', value: getPickupDate },
+        { header: 'Pickup Time', value: function(booking) { return hasValidPickup(booking) ? getPickupTime(booking) : booking.pickupTime || booking.time; } },
+        { header: 'Pickup At', value: function(booking) { return hasValidPickup(booking) ? booking.pickupAt || window.MidnightExpress.datetime.toISOWithOffset(getPickupDate(booking), getPickupTime(booking)) : ''; } },
+        { header: 'Pickup Address', value: function(booking) { return booking.pickupAddress; } },
+        { header: 'Destination Address', value: function(booking) { return booking.destinationAddress; } },
+        { header: 'Stops', value: function(booking) { return window.MidnightExpress.storage.describeStops(booking.stops || []); } },
+        { header: 'Passengers', value: function(booking) { return booking.passengers; } },
+        { header: 'Special Notes', value: function(booking) { return booking.specialNotes || booking.notes; } },
+        { header: 'Special Requirements', value: describeRequirements },
+        { header: 'Airport Trip', value: function(booking) { return booking.airportTrip; } },
+        { header: 'Checking Bags', value: function(booking) { return booking.checkingBags; } },
+        { header: 'Flight Number', value: function(booking) { return booking.flightId || booking.flightNumber || booking.airportFlight; } },
+        { header: 'Flight Departs', value: function(booking) { return joinDateTime(booking.departureDate, booking.departureTime); } },
+        { header: 'International Flight', value: function(booking) { return booking.internationalFlight; } },
+        { header: 'Flight Lands', value: function(booking) { return joinDateTime(booking.flightLandingDate, booking.flightLandingTime); } },
+        { header: 'Round Trip', value: function(booking) { return booking.roundTrip; } },
+        { header: 'Return Flight Landing', value: function(booking) { return joinDateTime(booking.returnDate, booking.returnTime); } },
+        { header: 'Is Return Flight', value: function(booking) { return booking.isReturnFlight; } },
+        { header: 'Service Area', value: function(booking) { return booking.serviceArea; } },
+        { header: 'Recurrence', value: function(booking) { return booking.recurrence; } },
+        { header: 'Status', value: function(booking) { return hasValidPickup(booking) ? booking.status : [booking.status, 'check pickup date/time'].filter(Boolean).join(' - '); } }
+    ];
+
+    /**
+     * Quote a CSV cell (RFC 4180)
+     * Cells starting with a formula character are prefixed with ' so
+     * spreadsheets show customer text instead of running it.
+     *
+     * @param {*} value - Cell value
+     * @returns {string}
+     */
+    function escapeCsvCell(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = "'" + text;
+        }
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }
+
+    /**
+     * Bookings as CSV, earliest pickup first
+     * @param {Array} bookings - Bookings from the feed
+     * @returns {string} - CSV with a header row and CRLF line endings
+     */
+    function toCsv(bookings) {
+        const rows = [CSV_COLUMNS.map(function(column) {
+            return escapeCsvCell(column.header);
+        }).join(',')];
+
+        sortByPickup(bookings).forEach(function(booking) {
+            rows.push(CSV_COLUMNS.map(function(column) {
+                return escapeCsvCell(column.value(booking));
+            }).join(','));
+        });
+
+        return rows.join('\r\n') + '\r\n';
+    }
+
+    // =================================================================
+    // ICALENDAR
+    // =================================================================
+
+    /**
+     * Escape text for an iCalendar property value (RFC 5545)
+     * @param {*} value - Text
+     * @returns {string}
+     */
+    function escapeText(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line to 75 characters, continuing with a leading space
+     * @param {string} line - Content line
+     * @returns {string}
+     */
+    function foldLine(line) {
+        const parts = [];
+        let rest = line;
+        while (rest.length > 75) {
+            parts.push(rest.slice(0, 75));
+            rest = ' ' + rest.slice(75);
+        }
+        parts.push(rest);
+        return parts.join('\r\n');
+    }
+
+    /**
+     * Format an instant as an iCalendar UTC date-time, e.g. "20261022T083000Z"
+     * @param {Date} date - Instant
+     * @returns {string}
+     */
+    function formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Window a ride keeps its vehicle busy: leaving base through returning to base
+     * @param {object} booking - Booking from the feed
+     * @returns {object} - {start: Date, end: Date, pickup: Date}
+     */
+    function getRideWindow(booking) {
+        const duration = window.MidnightExpress.availability.getRideDuration({
+            pickup: booking.pickupAddress,
+            destination: booking.destinationAddress,
+            stops: (booking.stops || []).map(function(stop) {
+                return stop.address;
+            })
+        });
+        const pickup = window.MidnightExpress.datetime.toInstant(getPickupDate(booking), getPickupTime(booking));
+
+        return {
+            start: new Date(pickup.getTime() - duration.leadMinutes * 60000),
+            end: new Date(pickup.getTime() + duration.tailMinutes * 60000),
+            pickup: pickup
+        };
+    }
+
+    /**
+     * Event summary, e.g. "Pickup 5:30 AM - Dana Whitfield (2 pax)"
+     * @param {object} booking - Booking from the feed
+     * @returns {string}
+     */
+    function describeEvent(booking) {
+        const time = window.MidnightExpress.datetime.parseTime(getPickupTime(booking));
+        const clock = (time.hours % 12 || 12) + ':' + String(time.minutes).padStart(2, '0') + ' ' + (time.hours >= 12 ? 'PM' : 'AM');
+        const leg = booking.isReturnFlight === 'Yes' ? 'Return pickup ' : 'Pickup ';
+
+        return leg + clock + ' - ' + (booking.name || 'Customer') + (booking.passengers ? ' (' + booking.passengers + ' pax)' : '');
+    }
+
+    /**
+     * VEVENT lines for one ride
+     * @param {object} booking - Booking from the feed
+     * @param {Date} stamp - When the feed was generated
+     * @returns {Array} - Unfolded content lines
+     */
+    function buildEvent(booking, stamp) {
+        const rideWindow = getRideWindow(booking);
+        const code = window.MidnightExpress.storage.getConfirmationCode(booking);
+        const uid = booking.id || [code, getPickupDate(booking), booking.isReturnFlight === 'Yes' ? 'return' : 'outbound'].join('-');
+        const flight = booking.flightId || booking.flightNumber || booking.airportFlight;
+        const requirements = describeRequirements(booking);
+
+        const description = [
+            'Pickup: ' + getPickupDate(booking) + ' ' + getPickupTime(booking).slice(0, 5) + ' at ' + (booking.pickupAddress || '')
+        ].concat((booking.stops || []).map(function(stop, index) {
+            return 'Stop ' + (index + 1) + ': ' + stop.address + (stop.passengers ? ' (+' + stop.passengers + ')' : '');
+        })).concat([
+            'Drop-off: ' + (booking.destinationAddress || ''),
+            'Passengers: ' + (booking.passengers || ''),
+            'Phone: ' + (booking.phone || ''),
+            requirements ? 'Requirements: ' + requirements : '',
+            flight ? 'Flight: ' + flight : '',
+            booking.specialNotes ? 'Notes: ' + booking.specialNotes : '',
+            code ? 'Ref: ' + code : ''
+        ]).filter(Boolean).join('\n');
+
+        return [
+            'BEGIN:VEVENT',
+            'UID:' + String(uid).replace(/[^A-Za-z0-9-]/g, '') + '@' + CALENDAR_CONFIG.uidDomain,
+            'DTSTAMP:' + formatUtc(stamp),
+            'DTSTART:' + formatUtc(rideWindow.start),
+            'DTEND:' + formatUtc(rideWindow.end),
+            'SUMMARY:' + escapeText(describeEvent(booking)),
+            'LOCATION:' + escapeText(booking.pickupAddress),
+            'DESCRIPTION:' + escapeText(description),
+            'STATUS:' + (booking.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'),
+            'END:VEVENT'
+        ];
+    }
+
+    /**
+     * Wrap VEVENT lines in a calendar
+     * @param {Array} eventLines - Unfolded content lines of the events
+     * @param {string} name - Calendar name shown by subscribing apps (optional)
+     * @returns {string} - iCalendar text with CRLF line endings
+     */
+    function buildCalendar(eventLines, name) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:' + CALENDAR_CONFIG.productId,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ].concat(name ? [
+            'X-WR-CALNAME:' + escapeText(name),
+            'X-WR-TIMEZONE:' + window.MidnightExpress.datetime.TIME_ZONE
+        ] : [], eventLines, ['END:VCALENDAR']);
+
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Bookings as an iCalendar feed, one event per ride
+     * Cancelled bookings stay in the feed as cancelled events, so subscribed
+     * calendars drop them instead of keeping a stale copy. Bookings whose
+     * pickup can't be read are left out (the CSV flags them).
+     *
+     * @param {Array} bookings - Bookings from the feed
+     * @param {Date} now - Generation time for DTSTAMP (optional)
+     * @returns {string} - iCalendar text with CRLF line endings
+     */
+    function toICalendar(bookings, now) {
+        const stamp = now || new Date();
+        let eventLines = [];
+
+        sortByPickup(bookings).filter(hasValidPickup).forEach(function(booking) {
+            eventLines = eventLines.concat(buildEvent(booking, stamp));
+        });
+
+        return buildCalendar(eventLines, CALENDAR_CONFIG.name);
+    }
+
+    window.MidnightExpress = window.MidnightExpress || {};
+    window.MidnightExpress.bookingExport = {
+        CALENDAR_CONFIG: CALENDAR_CONFIG,
+        CSV_COLUMNS: CSV_COLUMNS,
+        toCsv: toCsv,
+        toICalendar: toICalendar,
+        REQUIREMENT_LABELS: REQUIREMENT_LABELS,
+        describeRequirements: describeRequirements,
+        hasValidPickup: hasValidPickup,
+        getRideWindow: getRideWindow,
+        escapeText: escapeText,
+        formatUtc: formatUtc,
+        buildCalendar: buildCalendar
+    };
+
+})(window);
@@ -0,0 +1,169 @@
+/**
+ * Midnight Express LKN - Add to Calendar
+ *
+ * Calendar links for the booking success screen, one set per leg of a ride:
+ * - Google Calendar and Outlook.com event templates (links that open the
+ *   provider's "new event" page, prefilled)
+ * - a downloadable .ics file for Apple Calendar and desktop Outlook
+ *
+ * Everything is built in the browser from the submitted legs; no booking
+ * details are sent anywhere else. Events run from pickup to the estimated
+ * drop-off and carry the pickup, destination, flight and our phone number.
+ */
+
+(function(window) {
+    "use strict";
+
+    // =================================================================
+    // CONFIGURATION
+    // =================================================================
+
+    const CALENDAR_LINK_CONFIG = {
+        businessName: 'Midnight Express LKN',
+        phone: '(980) 422-9125',
+        defaultRideMinutes: 60, // Event length when the route can't be placed
+        googleUrl: 'https://calendar.google.com/calendar/render',
+        outlookUrl: 'https://outlook.live.com/calendar/0/deeplink/compose'
+    };
+
+    // =================================================================
+    // EVENTS
+    // =================================================================
+
+    /**
+     * Calendar event for one submitted leg
+     * @param {object} leg - Submission from buildSubmissions() in js/booking.js
+     * @returns {object} - {uid, title, start: Date, end: Date, location, description}
+     */
+    function getLegEvent(leg) {
+        const isReturn = leg.isReturnFlight === 'Yes';
+        const stops = leg.stops || [];
+        const route = window.MidnightExpress.availability.getRouteMinutes({
+            pickup: leg.pickupAddress,
+            destination: leg.destinationAddress,
+            stops: stops.map(function(stop) {
+                return stop.address;
+            })
+        });
+        const start = window.MidnightExpress.datetime.toInstant(leg.pickupDate, leg.pickupTime);
+        const rideMinutes = route ? route.ride : CALENDAR_LINK_CONFIG.defaultRideMinutes;
+        const flight = leg.flightNumber || leg.flightId;
+
+        const description = [
+            'Pickup: ' + leg.pickupAddress
+        ].concat(stops.map(function(stop, index) {
+            return 'Stop ' + (index + 1) + ': ' + stop.address;
+        })).concat([
+            'Destination: ' + leg.destinationAddress,
+            flight ? (isReturn ? 'Arriving flight: ' : 'Departing flight: ') + flight : '',
+            leg.confirmationCode ? 'Confirmation #: ' + leg.confirmationCode : '',
+            'Questions or changes: ' + CALENDAR_LINK_CONFIG.businessName + ', ' + CALENDAR_LINK_CONFIG.phone
+        ]).filter(Boolean).join('\n');
+
+        return {
+            uid: [leg.confirmationCode || 'ride', leg.pickupDate, isReturn ? 'return' : 'outbound'].join('-'),
+            title: CALENDAR_LINK_CONFIG.businessName + (isReturn ? ' return pickup' : ' pickup'),
+            start: start,
+            end: new Date(start.getTime() + rideMinutes * 60000),
+            location: leg.pickupAddress,
+            description: description
+        };
+    }
+
+    // =================================================================
+    // LINKS
+    // =================================================================
+
+    /**
+     * Build a URL with encoded query parameters
+     * @param {string} base - URL without a query string
+     * @param {object} params - Query parameters
+     * @returns {string}
+     */
+    function buildUrl(base, params) {
+        return base + '?' + Object.keys(params).map(function(key) {
+            return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
+        }).join('&');
+    }
+
+    /**
+     * Google Calendar "new event" link
+     * @param {object} event - Event from getLegEvent()
+     * @returns {string}
+     */
+    function getGoogleCalendarUrl(event) {
+        const BookingExport = window.MidnightExpress.bookingExport;
+        return buildUrl(CALENDAR_LINK_CONFIG.googleUrl, {
+            action: 'TEMPLATE',
+            text: event.title,
+            dates: BookingExport.formatUtc(event.start) + '/' + BookingExport.formatUtc(event.end),
+            ctz: window.MidnightExpress.datetime.TIME_ZONE,
+            location: event.location,
+            details: event.description
+        });
+    }
+
+    /**
+     * Outlook.com "new event" link
+     * @param {object} event - Event from getLegEvent()
+     * @returns {string}
+     */
+    function getOutlookUrl(event) {
+        return buildUrl(CALENDAR_LINK_CONFIG.outlookUrl, {
+            path: '/calendar/action/compose',
+            rru: 'addevent',
+            subject: event.title,
+            startdt: event.start.toISOString(),
+            enddt: event.end.toISOString(),
+            location: event.location,
+            body: event.description
+        });
+    }
+
+    /**
+     * iCalendar file with the event
+     * @param {object} event - Event from getLegEvent()
+     * @param {Date} now - Generation time for DTSTAMP (optional)
+     * @returns {string}
+     */
+    function toICalendar(event, now) {
+        const BookingExport = window.MidnightExpress.bookingExport;
+        return BookingExport.buildCalendar([
+            'BEGIN:VEVENT',
+            'UID:' + event.uid.replace(/[^A-Za-z0-9-]/g, '') + '@' + BookingExport.CALENDAR_CONFIG.uidDomain,
+            'DTSTAMP:' + BookingExport.formatUtc(now || new Date()),
+            'DTSTART:' + BookingExport.formatUtc(event.start),
+            'DTEND:' + BookingExport.formatUtc(event.end),
+            'SUMMARY:' + BookingExport.escapeText(event.title),
+            'LOCATION:' + BookingExport.escapeText(event.location),
+            'DESCRIPTION:' + BookingExport.escapeText(event.description),
+            'END:VEVENT'
+        ]);
+    }
+
+    /**
+     * Add-to-calendar links for one submitted leg
+     * @param {object} leg - Submission from buildSubmissions() in js/booking.js
+     * @returns {object} - {google, outlook, ics (data: URL), filename}
+     */
+    function getCalendarLinks(leg) {
+        const event = getLegEvent(leg);
+        return {
+            google: getGoogleCalendarUrl(event),
+            outlook: getOutlookUrl(event),
+            ics: 'data:text/calendar;charset=utf-8,' + encodeURIComponent(toICalendar(event)),
+            filename: 'midnight-express-' + event.uid.toLowerCase().replace(/[^a-z0-9-]/g, '') + '.ics'
+        };
+    }
+
+    window.MidnightExpress = window.MidnightExpress || {};
+    window.MidnightExpress.calendarLinks = {
+        CALENDAR_LINK_CONFIG: CALENDAR_LINK_CONFIG,
+        getLegEvent: getLegEvent,
+        getGoogleCalendarUrl: getGoogleCalendarUrl,
+        getOutlookUrl: getOutlookUrl,
+        toICalendar: toICalendar,
+        getCalendarLinks: getCalendarLinks
+    };
+
+})(window);
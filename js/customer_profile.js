@@ -0,0 +1,131 @@
+/**
+ * Midnight Express LKN - Customer Profile
+ *
+ * Opt-in "remember me on this device" profile for repeat customers, kept in
+ * localStorage: name, phone, email and a list of labeled addresses (Home,
+ * Work, ...). The booking form fills the contact fields from it and offers
+ * the saved addresses for pickup and destination. Nothing is stored unless
+ * the customer ticks "Remember me", and "Forget me" removes it.
+ */
+
+(function(window) {
+    "use strict";
+
+    // =================================================================
+    // CONFIGURATION
+    // =================================================================
+
+    const PROFILE_CONFIG = {
+        storageKey: 'midnightExpress.customerProfile',
+        addressLabels: ['Home', 'Work', 'School', 'Family', 'Other'],
+        maxAddresses: 10
+    };
+
+    // =================================================================
+    // PERSISTENCE
+    // =================================================================
+
+    /**
+     * Read the saved profile
+     * @returns {object|null} - {name, phone, email, addresses: [{label, address}]}
+     */
+    function loadProfile() {
+        try {
+            const raw = window.localStorage.getItem(PROFILE_CONFIG.storageKey);
+            const profile = raw ? JSON.parse(raw) : null;
+            if (!profile) {
+                return null;
+            }
+
+            return {
+                name: profile.name || '',
+                phone: profile.phone || '',
+                email: profile.email || '',
+                addresses: Array.isArray(profile.addresses) ? profile.addresses : []
+            };
+        } catch (error) {
+            console.warn('Customer profile unavailable:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Save the profile
+     * @param {object} profile - {name, phone, email, addresses}
+     */
+    function saveProfile(profile) {
+        try {
+            window.localStorage.setItem(PROFILE_CONFIG.storageKey, JSON.stringify(profile));
+        } catch (error) {
+            console.warn('Could not save customer profile:', error.message);
+        }
+    }
+
+    /**
+     * Remove the profile from this device
+     */
+    function forgetProfile() {
+        try {
+            window.localStorage.removeItem(PROFILE_CONFIG.storageKey);
+        } catch (error) {
+            console.warn('Could not remove customer profile:', error.message);
+        }
+    }
+
+    // =================================================================
+    // UPDATES
+    // =================================================================
+
+    /**
+     * Normalize an address so spacing and case don't matter
+     * @param {string} address - Address text
+     * @returns {string}
+     */
+    function normalizeAddress(address) {
+        return String(address || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+
+    /**
+     * Remember contact details and labeled addresses from a booking
+     * An address saved under a label replaces the one already there, and the
+     * same address under another label moves to the new one. Newest first.
+     *
+     * @param {object} contact - {name, phone, email}
+     * @param {Array} addresses - [{label, address}] to save (optional)
+     * @returns {object} - Saved profile
+     */
+    function rememberDetails(contact, addresses) {
+        const existing = loadProfile();
+        let saved = existing ? existing.addresses : [];
+
+        (addresses || []).forEach(function(entry) {
+            const address = String(entry.address || '').trim();
+            if (!entry.label || !address) {
+                return;
+            }
+
+            saved = [{ label: entry.label, address: address }].concat(saved.filter(function(other) {
+                return other.label !== entry.label && normalizeAddress(other.address) !== normalizeAddress(address);
+            }));
+        });
+
+        const profile = {
+            name: contact.name || '',
+            phone: contact.phone || '',
+            email: contact.email || '',
+            addresses: saved.slice(0, PROFILE_CONFIG.maxAddresses)
+        };
+        saveProfile(profile);
+        return profile;
+    }
+
+    window.MidnightExpress = window.MidnightExpress || {};
+    window.MidnightExpress.customerProfile = {
+        PROFILE_CONFIG: PROFILE_CONFIG,
+        loadProfile: loadProfile,
+        saveProfile: saveProfile,
+        forgetProfile: forgetProfile,
+        rememberDetails: rememberDetails
+    };
+
+})(window);
@@ -0,0 +1,251 @@
+/**
+ * Midnight Express LKN - Dates & Times
+ *
+ * Every booking date and time is wall-clock time in America/New_York, whatever
+ * time zone the customer's browser is in:
+ * - date keys are "YYYY-MM-DD" and times "HH:MM:SS" in New York
+ * - the Flatpickr pickers show New York wall time; the Date objects they hand
+ *   back carry it in their local fields (fromPickerDate / toPickerDate)
+ * - submissions carry an ISO timestamp with the New York UTC offset for that
+ *   date, so daylight saving time is never ambiguous
+ */
+
+(function(window) {
+    "use strict";
+
+    // =================================================================
+    // CONFIGURATION
+    // =================================================================
+
+    const TIME_ZONE = 'America/New_York';
+
+    /**
+     * Google Sheets sends time-only cells as a time on its 1899-12-30 epoch day
+     */
+    const SHEETS_EPOCH_DATE = '1899-12-30';
+
+    const partsFormatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: TIME_ZONE,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+
+    // =================================================================
+    // FORMATTING HELPERS
+    // =================================================================
+
+    /**
+     * Zero-pad a number to two digits
+     * @param {number} value - Number
+     * @returns {string}
+     */
+    function pad(value) {
+        return String(value).padStart(2, '0');
+    }
+
+    /**
+     * Split a "YYYY-MM-DD" date key
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @returns {Array} - [year, month (1-12), day]
+     */
+    function splitDateKey(dateStr) {
+        return dateStr.split('-').map(Number);
+    }
+
+    // =================================================================
+    // NEW YORK WALL TIME
+    // =================================================================
+
+    /**
+     * New York wall-clock parts of an instant
+     * @param {Date} date - Instant
+     * @returns {object} - {year, month (1-12), day, hours, minutes, seconds}
+     */
+    function getZonedParts(date) {
+        const parts = {};
+        partsFormatter.formatToParts(date).forEach(function(part) {
+            if (part.type !== 'literal') {
+                parts[part.type] = Number(part.value);
+            }
+        });
+
+        return {
+            year: parts.year,
+            month: parts.month,
+            day: parts.day,
+            hours: parts.hour % 24,
+            minutes: parts.minute,
+            seconds: parts.second
+        };
+    }
+
+    /**
+     * New York date of an instant
+     * @param {Date} date - Instant
+     * @returns {string} - Date in YYYY-MM-DD format
+     */
+    function toDateKey(date) {
+        const parts = getZonedParts(date);
+        return parts.year + '-' + pad(parts.month) + '-' + pad(parts.day);
+    }
+
+    /**
+     * New York time of day of an instant
+     * @param {Date} date - Instant
+     * @returns {string} - Time in HH:MM:SS format
+     */
+    function toTimeKey(date) {
+        const parts = getZonedParts(date);
+        return pad(parts.hours) + ':' + pad(parts.minutes) + ':' + pad(parts.seconds);
+    }
+
+    /**
+     * Today's date in New York
+     * @returns {string} - Date in YYYY-MM-DD format
+     */
+    function getTodayKey() {
+        return toDateKey(new Date());
+    }
+
+    /**
+     * New York's offset from UTC at an instant (-300 in winter, -240 in summer)
+     * @param {Date} date - Instant
+     * @returns {number} - Minutes to add to UTC
+     */
+    function getOffsetMinutes(date) {
+        const parts = getZonedParts(date);
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds);
+        return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    }
+
+    /**
+     * Instant for a New York date and time
+     * Times skipped when clocks spring forward land an hour later; repeated
+     * times when clocks fall back resolve to the first (daylight) occurrence.
+     *
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @param {string} timeStr - Time in HH:MM or HH:MM:SS format
+     * @returns {Date}
+     */
+    function toInstant(dateStr, timeStr) {
+        const [year, month, day] = splitDateKey(dateStr);
+        const [hours, minutes, seconds] = timeStr.split(':').map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds || 0);
+
+        // The offset depends on the instant, so correct the first guess once
+        const guess = new Date(wallClock - getOffsetMinutes(new Date(wallClock)) * 60000);
+        const corrected = new Date(wallClock - getOffsetMinutes(guess) * 60000);
+
+        // A skipped time has no instant of its own; keep the standard-time reading
+        return getZonedParts(corrected).hours === hours ? corrected : guess;
+    }
+
+    /**
+     * ISO 8601 timestamp with New York's UTC offset, e.g. "2026-11-02T05:30:00-05:00"
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @param {string} timeStr - Time in HH:MM or HH:MM:SS format
+     * @returns {string}
+     */
+    function toISOWithOffset(dateStr, timeStr) {
+        const instant = toInstant(dateStr, timeStr);
+        const offset = getOffsetMinutes(instant);
+        const sign = offset < 0 ? '-' : '+';
+
+        return toDateKey(instant) + 'T' + toTimeKey(instant) +
+               sign + pad(Math.floor(Math.abs(offset) / 60)) + ':' + pad(Math.abs(offset) % 60);
+    }
+
+    /**
+     * Hours and minutes of a booking time
+     * Accepts "HH:MM[:SS]" wall times, Google Sheets time-only cells
+     * ("1899-12-30T15:17:11.000Z", whose UTC part is the wall time) and full
+     * ISO timestamps, which are converted to New York time.
+     *
+     * @param {string} timeStr - Time from a booking or the feed
+     * @returns {object} - {hours: number, minutes: number}
+     */
+    function parseTime(timeStr) {
+        const value = String(timeStr || '');
+        const plainTime = /^(\d{1,2}):(\d{2})/.exec(value);
+        if (plainTime) {
+            return {
+                hours: Number(plainTime[1]),
+                minutes: Number(plainTime[2])
+            };
+        }
+
+        const date = new Date(value);
+        if (value.indexOf(SHEETS_EPOCH_DATE) === 0) {
+            return {
+                hours: date.getUTCHours(),
+                minutes: date.getUTCMinutes()
+            };
+        }
+
+        const parts = getZonedParts(date);
+        return {
+            hours: parts.hours,
+            minutes: parts.minutes
+        };
+    }
+
+    // =================================================================
+    // DATE PICKERS
+    // =================================================================
+
+    /**
+     * Date and time shown by a picker Date
+     * @param {Date} date - Date from Flatpickr (New York wall time in its local fields)
+     * @returns {object} - {date: 'YYYY-MM-DD', time: 'HH:MM:SS'}
+     */
+    function fromPickerDate(date) {
+        return {
+            date: date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()),
+            time: pad(date.getHours()) + ':' + pad(date.getMinutes()) + ':' + pad(date.getSeconds())
+        };
+    }
+
+    /**
+     * Picker Date showing a New York date and time
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @param {string} timeStr - Time in HH:MM or HH:MM:SS format (optional, default midnight)
+     * @returns {Date}
+     */
+    function toPickerDate(dateStr, timeStr) {
+        const [year, month, day] = splitDateKey(dateStr);
+        const [hours, minutes, seconds] = (timeStr || '00:00').split(':').map(Number);
+        return new Date(year, month - 1, day, hours, minutes, seconds || 0);
+    }
+
+    /**
+     * Picker Date showing the New York wall time of an instant
+     * @param {Date} date - Instant (optional, default now)
+     * @returns {Date}
+     */
+    function toZonedPickerDate(date) {
+        const instant = date || new Date();
+        return toPickerDate(toDateKey(instant), toTimeKey(instant));
+    }
+
+    window.MidnightExpress = window.MidnightExpress || {};
+    window.MidnightExpress.datetime = {
+        TIME_ZONE: TIME_ZONE,
+        getZonedParts: getZonedParts,
+        toDateKey: toDateKey,
+        toTimeKey: toTimeKey,
+        getTodayKey: getTodayKey,
+        getOffsetMinutes: getOffsetMinutes,
+        toInstant: toInstant,
+        toISOWithOffset: toISOWithOffset,
+        parseTime: parseTime,
+        fromPickerDate: fromPickerDate,
+        toPickerDate: toPickerDate,
+        toZonedPickerDate: toZonedPickerDate
+    };
+
+})(window);
@@ -0,0 +1,363 @@
+/**
+ * Midnight Express LKN - Dispatch Board
+ *
+ * Admin page (admin.html) listing booked rides by day or week for dispatch.
+ * Reads the same bookings feed as the booking form (the storage adapter from
+ * js/storage.js, so ?backend=fixture works offline) and shows, for each day:
+ * - the 24-hour timeline of blocked windows, drawn like the booking form's
+ * - every ride sorted by pickup time, with pickup, stops and drop-off,
+ *   passengers, special requirements and flight number
+ * - round-trip legs linked to each other (matched by confirmation code and isReturnFlight)
+ * The rides shown can be downloaded as CSV or an .ics calendar (js/booking_export.js).
+ *
+ * The board opens on today (New York time); ?date=YYYY-MM-DD and ?view=week override that.
+ */
+
+(function($) {
+    "use strict";
+
+    const Availability = window.MidnightExpress.availability;
+    const Storage = window.MidnightExpress.storage;
+    const Recurrence = window.MidnightExpress.recurrence;
+    const Airlines = window.MidnightExpress.airlines;
+    const Timeline = window.MidnightExpress.timeline;
+    const DateTime = window.MidnightExpress.datetime;
+    const BookingExport = window.MidnightExpress.bookingExport;
+
+    const bookingStore = Storage.getAdapter();
+
+    let allBookings = [];
+    let boardView = 'day';
+    let boardStart = null;
+
+    // =================================================================
+    // FORMATTING
+    // =================================================================
+
+    /**
+     * Escape text from the bookings feed for HTML
+     * @param {*} value - Text to escape
+     * @returns {string}
+     */
+    function escapeHtml(value) {
+        return $('<div>').text(value === undefined || value === null ? '' : String(value)).html();
+    }
+
+    /**
+     * Minutes since midnight of a booking's pickup
+     * @param {object} booking - Booking from the feed
+     * @returns {number}
+     */
+    function getPickupMinutes(booking) {
+        const time = Storage.parseBookingTime(booking.time);
+        return time.hours * 60 + time.minutes;
+    }
+
+    /**
+     * Format a time from the feed as "5:30 AM"
+     * @param {string} timeStr - Time from the feed
+     * @returns {string}
+     */
+    function formatTime(timeStr) {
+        const time = Storage.parseBookingTime(timeStr);
+        return (time.hours % 12 || 12) + ':' + String(time.minutes).padStart(2, '0') + ' ' + (time.hours >= 12 ? 'PM' : 'AM');
+    }
+
+    /**
+     * Format a date as "Thu, Oct 22"
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @returns {string}
+     */
+    function formatDay(dateStr) {
+        return DateTime.toPickerDate(dateStr).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Customer notes without the tags added for the Google Sheet ("[Ref: ...]" etc.)
+     * @param {object} booking - Booking from the feed
+     * @returns {string}
+     */
+    function getCustomerNotes(booking) {
+        return String(booking.specialNotes || booking.notes || '').replace(/\s*\[[^\]]*\]/g, '').trim();
+    }
+
+    /**
+     * Flight for a ride: the departing flight on outbound legs, the arriving one on returns
+     * @param {object} booking - Booking from the feed
+     * @returns {string} - HTML, or '' when there's no flight
+     */
+    function describeFlight(booking) {
+        const flightNumber = booking.flightId || booking.flightNumber || booking.airportFlight;
+        if (!flightNumber) {
+            return '';
+        }
+
+        const parsed = Airlines.parseFlightNumber(flightNumber);
+        let html = '<strong>' + escapeHtml(parsed ? parsed.display : flightNumber) + '</strong>';
+        if (parsed && parsed.airline) {
+            html += '<br><small>' + escapeHtml(parsed.airline.name) + '</small>';
+        }
+        if (booking.isReturnFlight === 'Yes' && booking.flightLandingTime) {
+            html += '<br><small>Lands ' + formatTime(booking.flightLandingTime) + '</small>';
+        } else if (booking.departureTime) {
+            html += '<br><small>Departs ' + formatTime(booking.departureTime) + '</small>';
+        }
+        return html;
+    }
+
+    // =================================================================
+    // ROUND-TRIP PAIRING
+    // =================================================================
+
+    /**
+     * Element ID for a ride on the board
+     * @param {object} booking - Booking from the feed
+     * @returns {string}
+     */
+    function getRideAnchor(booking) {
+        const key = booking.id || (Storage.getConfirmationCode(booking) + '-' + booking.date + '-' + getPickupMinutes(booking));
+        return 'ride-' + String(key).replace(/[^A-Za-z0-9-]/g, '');
+    }
+
+    /**
+     * The other leg of a round trip: same confirmation code, opposite isReturnFlight
+     * Recurring series give every ride its own code, so each pair is unique.
+     *
+     * @param {object} booking - Booking from the feed
+     * @returns {object|null}
+     */
+    function findPairedLeg(booking) {
+        const code = Storage.getConfirmationCode(booking);
+        if (!code || booking.roundTrip === 'No') {
+            return null;
+        }
+
+        const wantReturn = booking.isReturnFlight === 'Yes' ? 'No' : 'Yes';
+        return allBookings.find(function(other) {
+            return other !== booking &&
+                   other.isReturnFlight === wantReturn &&
+                   Storage.getConfirmationCode(other) === code;
+        }) || null;
+    }
+
+    /**
+     * Leg label with a link to the paired leg
+     * @param {object} booking - Booking from the feed
+     * @param {object} shownDates - Dates on the board, {YYYY-MM-DD: true}
+     * @returns {string} - HTML
+     */
+    function describeLeg(booking, shownDates) {
+        const paired = findPairedLeg(booking);
+        if (!paired) {
+            return booking.isReturnFlight === 'Yes' ? 'Return' : 'One way';
+        }
+
+        const label = booking.isReturnFlight === 'Yes' ? 'Return' : 'Outbound';
+        const pairedLabel = (paired.isReturnFlight === 'Yes' ? 'Return' : 'Outbound') + ' ' + formatDay(paired.date) + ' ' + formatTime(paired.time);
+        const pairedHtml = shownDates[paired.date]
+            ? '<a href="#' + getRideAnchor(paired) + '" class="dispatch-pair-link">' + pairedLabel + '</a>'
+            : pairedLabel;
+
+        return label + '<br><small>' + pairedHtml + '</small>';
+    }
+
+    // =================================================================
+    // BOARD
+    // =================================================================
+
+    /**
+     * Rides picked up on a date, earliest first
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @returns {Array}
+     */
+    function getRidesForDate(dateStr) {
+        return allBookings.filter(function(booking) {
+            return booking.date === dateStr;
+        }).sort(function(a, b) {
+            return getPickupMinutes(a) - getPickupMinutes(b);
+        });
+    }
+
+    /**
+     * Dates shown for the current view
+     * @returns {Array} - Dates in YYYY-MM-DD format
+     */
+    function getBoardDates() {
+        if (boardView === 'day') {
+            return [boardStart];
+        }
+
+        const weekStart = Recurrence.addDays(boardStart, -Recurrence.getWeekday(boardStart));
+        const dates = [];
+        for (let day = 0; day < 7; day++) {
+            dates.push(Recurrence.addDays(weekStart, day));
+        }
+        return dates;
+    }
+
+    /**
+     * Table row for one ride
+     * @param {object} booking - Booking from the feed
+     * @param {object} shownDates - Dates on the board, {YYYY-MM-DD: true}
+     * @returns {string} - HTML
+     */
+    function buildRideRow(booking, shownDates) {
+        const stops = (booking.stops || []).map(function(stop) {
+            return '<li><small>Stop: ' + escapeHtml(stop.address) + (stop.passengers ? ' (+' + escapeHtml(stop.passengers) + ')' : '') + '</small></li>';
+        }).join('');
+        const notes = getCustomerNotes(booking);
+
+        return '<tr id="' + getRideAnchor(booking) + '">' +
+            '<td class="dispatch-time">' + formatTime(booking.time) + '</td>' +
+            '<td>' + describeLeg(booking, shownDates) + '</td>' +
+            '<td>' + escapeHtml(booking.name) +
+                (booking.phone ? '<br><a href="tel:' + escapeHtml(String(booking.phone).replace(/\D/g, '')) + '">' + escapeHtml(booking.phone) + '</a>' : '') +
+                (notes ? '<br><small class="text-muted">' + escapeHtml(notes) + '</small>' : '') + '</td>' +
+            '<td><ul class="dispatch-route">' +
+                '<li>' + escapeHtml(booking.pickupAddress) + '</li>' + stops +
+                '<li><i class="fa fa-long-arrow-right"></i> ' + escapeHtml(booking.destinationAddress) + '</li>' +
+            '</ul></td>' +
+            '<td class="dispatch-passengers">' + escapeHtml(booking.passengers || '') + '</td>' +
+            '<td>' + escapeHtml(BookingExport.describeRequirements(booking)) + '</td>' +
+            '<td>' + describeFlight(booking) + '</td>' +
+            '<td><small>' + escapeHtml(Storage.getConfirmationCode(booking) || '') + '</small></td>' +
+            '</tr>';
+    }
+
+    /**
+     * One day of the board: summary, blocked-window timeline and rides
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @param {object} shownDates - Dates on the board, {YYYY-MM-DD: true}
+     * @returns {string} - HTML
+     */
+    function buildDay(dateStr, shownDates) {
+        const rides = getRidesForDate(dateStr);
+        const passengers = rides.reduce(function(total, booking) {
+            return total + (parseInt(booking.passengers, 10) || 0);
+        }, 0);
+
+        let html = '<div class="dispatch-day' + (dateStr === DateTime.getTodayKey() ? ' dispatch-today' : '') + '">' +
+            '<h3>' + formatDay(dateStr) +
+            ' <small>' + rides.length + (rides.length === 1 ? ' ride' : ' rides') + ', ' + passengers + (passengers === 1 ? ' passenger' : ' passengers') + '</small></h3>';
+
+        html += Timeline.buildTimeline(Availability.scheduleBookingsForDate(allBookings, dateStr), null, dateStr);
+
+        if (rides.length === 0) {
+            return html + '<p class="text-muted">No rides booked.</p></div>';
+        }
+
+        html += '<div class="table-responsive"><table class="table table-condensed dispatch-rides">' +
+            '<thead><tr><th>Pickup</th><th>Leg</th><th>Customer</th><th>Route</th><th>Pax</th><th>Requirements</th><th>Flight</th><th>Ref</th></tr></thead>' +
+            '<tbody>' + rides.map(function(booking) {
+                return buildRideRow(booking, shownDates);
+            }).join('') + '</tbody></table></div>';
+
+        return html + '</div>';
+    }
+
+    /**
+     * Download the rides shown on the board
+     * @param {string} format - 'csv' or 'ics'
+     */
+    function exportShownRides(format) {
+        const dates = getBoardDates();
+        const rides = allBookings.filter(function(booking) {
+            return dates.indexOf(booking.date) !== -1;
+        });
+        const content = format === 'ics' ? BookingExport.toICalendar(rides) : BookingExport.toCsv(rides);
+        const type = format === 'ics' ? 'text/calendar' : 'text/csv';
+        const filename = 'rides-' + dates[0] + (dates.length > 1 ? '-to-' + dates[dates.length - 1] : '') + '.' + format;
+
+        const url = URL.createObjectURL(new Blob([content], { type: type + ';charset=utf-8' }));
+        const $link = $('<a>').attr({ href: url, download: filename }).appendTo('body');
+        $link[0].click();
+        $link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Render the board for the current view and date
+     */
+    function renderBoard() {
+        const dates = getBoardDates();
+        const shownDates = {};
+        dates.forEach(function(date) {
+            shownDates[date] = true;
+        });
+
+        $('#dispatch-title').text(dates.length === 1
+            ? formatDay(dates[0])
+            : formatDay(dates[0]) + ' - ' + formatDay(dates[dates.length - 1]));
+        $('#dispatch-date').val(boardStart);
+        $('#dispatch-board').html(dates.map(function(date) {
+            return buildDay(date, shownDates);
+        }).join(''));
+    }
+
+    /**
+     * Reload bookings from storage and redraw
+     * @returns {Promise}
+     */
+    async function refreshBoard() {
+        $('#dispatch-status').text('Loading bookings...');
+        try {
+            allBookings = await bookingStore.listBookings();
+            $('#dispatch-status').text('Updated ' + formatTime(DateTime.toTimeKey(new Date())) + ' (' + bookingStore.name + ')' +
+                (bookingStore.hasCustomerDetails === false ? ' - customer details hidden, add ?token=<ADMIN_TOKEN> to the address' : ''));
+        } catch (error) {
+            console.error(error.message);
+            $('#dispatch-status').text('');
+            $('#dispatch-board').html('<div class="alert alert-danger"><p>' + escapeHtml(error.message) + '</p></div>');
+            return;
+        }
+        renderBoard();
+    }
+
+    // =================================================================
+    // INITIALIZATION
+    // =================================================================
+
+    $(function() {
+        if ($('#dispatch-board').length === 0) {
+            return; // Dispatch board not on this page
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        boardStart = /^\d{4}-\d{2}-\d{2}$/.test(params.get('date') || '') ? params.get('date') : DateTime.getTodayKey();
+        boardView = params.get('view') === 'week' ? 'week' : 'day';
+        $('.dispatch-view-toggle button[data-view="' + boardView + '"]').addClass('active').siblings().removeClass('active');
+
+        $('.dispatch-view-toggle button').on('click', function() {
+            boardView = $(this).attr('data-view');
+            $(this).addClass('active').siblings().removeClass('active');
+            renderBoard();
+        });
+
+        $('#dispatch-prev, #dispatch-next').on('click', function() {
+            const step = boardView === 'week' ? 7 : 1;
+            boardStart = Recurrence.addDays(boardStart, this.id === 'dispatch-prev' ? -step : step);
+            renderBoard();
+        });
+
+        $('#dispatch-today').on('click', function() {
+            boardStart = DateTime.getTodayKey();
+            renderBoard();
+        });
+
+        $('#dispatch-date').on('change', function() {
+            if ($(this).val()) {
+                boardStart = $(this).val();
+                renderBoard();
+            }
+        });
+
+        $('#dispatch-refresh').on('click', refreshBoard);
+
+        $('.dispatch-export').on('click', function() {
+            exportShownRides($(this).attr('data-format'));
+        });
+
+        refreshBoard();
+    });
+
+})(jQuery);
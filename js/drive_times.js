@@ -0,0 +1,114 @@
+/**
+ * Midnight Express LKN - Drive Times
+ *
+ * Local zone-to-zone drive time matrix used to size the blocked window
+ * around each ride. Addresses are resolved to a zone through the service
+ * area towns and the quote engine's airport table.
+ */
+
+(function(window) {
+    "use strict";
+
+    // =================================================================
+    // CONFIGURATION
+    // =================================================================
+
+    /**
+     * Zone every ride starts from and returns to (7740 Marlette Ln, Sherrills Ford)
+     */
+    const BASE_ZONE = 'west-shore';
+
+    /**
+     * Service area town (SERVICE_AREAS name) -> zone
+     */
+    const AREA_ZONES = {
+        'Sherrills Ford': 'west-shore',
+        'Terrell': 'west-shore',
+        'Catawba': 'west-shore',
+        'Denver': 'denver',
+        'Lowesville': 'denver',
+        'Lake Norman': 'denver',
+        'Lincolnton': 'lincoln',
+        'Iron Station': 'lincoln',
+        'Pumpkin Center': 'lincoln',
+        'Maiden': 'lincoln',
+        'Stanley County': 'stanley'
+    };
+
+    /**
+     * Airport id (QUOTE_RATES.airports) -> zone
+     */
+    const AIRPORT_ZONES = {
+        clt: 'clt',
+        concord: 'concord',
+        private: 'private'
+    };
+
+    /**
+     * Estimated drive minutes between zones (symmetric, only one direction listed)
+     */
+    const DRIVE_TIME_MATRIX = {
+        'west-shore': { 'west-shore': 10, denver: 20, lincoln: 35, stanley: 45, clt: 50, concord: 60, private: 35 },
+        denver: { denver: 10, lincoln: 25, stanley: 30, clt: 40, concord: 50, private: 25 },
+        lincoln: { lincoln: 15, stanley: 25, clt: 45, concord: 60, private: 15 },
+        stanley: { stanley: 10, clt: 35, concord: 55, private: 25 },
+        clt: { clt: 10, concord: 35, private: 40 },
+        concord: { concord: 10, private: 50 },
+        private: { private: 15 }
+    };
+
+    // =================================================================
+    // LOOKUPS
+    // =================================================================
+
+    /**
+     * Resolve a free-text address to a drive time zone
+     * @param {string} address - Pickup or destination address
+     * @returns {string|null} - Zone id, or null when the address can't be placed
+     */
+    function resolveZone(address) {
+        if (!address) return null;
+
+        const quote = window.MidnightExpress.quote;
+        const airport = quote ? quote.matchAirport(address) : null;
+        if (airport && AIRPORT_ZONES[airport.id]) {
+            return AIRPORT_ZONES[airport.id];
+        }
+
+        const serviceAreas = window.MidnightExpress.serviceAreas;
+        const result = serviceAreas ? serviceAreas.checkAddress(address) : null;
+        if (result && result.inArea && AREA_ZONES[result.area]) {
+            return AREA_ZONES[result.area];
+        }
+
+        return null;
+    }
+
+    /**
+     * Look up the drive time between two zones
+     * @param {string} fromZone - Zone id
+     * @param {string} toZone - Zone id
+     * @returns {number|null} - Minutes, or null when either zone is unknown
+     */
+    function getDriveMinutes(fromZone, toZone) {
+        if (!fromZone || !toZone) return null;
+
+        if (DRIVE_TIME_MATRIX[fromZone] && DRIVE_TIME_MATRIX[fromZone][toZone] !== undefined) {
+            return DRIVE_TIME_MATRIX[fromZone][toZone];
+        }
+        if (DRIVE_TIME_MATRIX[toZone] && DRIVE_TIME_MATRIX[toZone][fromZone] !== undefined) {
+            return DRIVE_TIME_MATRIX[toZone][fromZone];
+        }
+
+        return null;
+    }
+
+    window.MidnightExpress = window.MidnightExpress || {};
+    window.MidnightExpress.driveTimes = {
+        BASE_ZONE: BASE_ZONE,
+        DRIVE_TIME_MATRIX: DRIVE_TIME_MATRIX,
+        resolveZone: resolveZone,
+        getDriveMinutes: getDriveMinutes
+    };
+
+})(window);
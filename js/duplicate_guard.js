@@ -0,0 +1,181 @@
+/**
+ * Midnight Express LKN - Duplicate Guard
+ *
+ * Catches the same ride being requested twice (a back-navigation, a second
+ * click from "Make Another Booking"). Each ride is fingerprinted by phone,
+ * pickup date/time and both addresses, then checked against:
+ * - rides recently submitted from this browser (kept in localStorage)
+ * - bookings already in the bookings feed
+ */
+
+(function(window) {
+    "use strict";
+
+    // =================================================================
+    // CONFIGURATION
+    // =================================================================
+
+    const DUPLICATE_CONFIG = {
+        storageKey: 'midnightExpress.recentSubmissions',
+        retentionMs: 90 * 24 * 60 * 60 * 1000 // Matches the 90 day booking window
+    };
+
+    // =================================================================
+    // FINGERPRINTS
+    // =================================================================
+
+    /**
+     * Normalize free text so spacing, case and punctuation don't matter
+     * @param {string} text - Address text
+     * @returns {string}
+     */
+    function normalizeText(text) {
+        return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+
+    /**
+     * Normalize a phone number to its 10 digits
+     * @param {string} phone - Phone number in any format
+     * @returns {string}
+     */
+    function normalizePhone(phone) {
+        const digits = String(phone || '').replace(/\D/g, '');
+        return digits.length === 11 && digits.charAt(0) === '1' ? digits.slice(1) : digits;
+    }
+
+    /**
+     * Fingerprint a ride
+     * @param {object} ride - {phone, date, time, pickupAddress, destinationAddress}
+     * @returns {string|null} - Fingerprint, or null when phone, date or time is missing
+     */
+    function getFingerprint(ride) {
+        const phone = normalizePhone(ride.phone);
+        if (!phone || !ride.date || !ride.time) {
+            return null;
+        }
+
+        const time = window.MidnightExpress.storage.parseBookingTime(ride.time);
+        return [
+            phone,
+            ride.date,
+            String(time.hours).padStart(2, '0') + ':' + String(time.minutes).padStart(2, '0'),
+            normalizeText(ride.pickupAddress),
+            normalizeText(ride.destinationAddress)
+        ].join('|');
+    }
+
+    /**
+     * Fingerprint one leg of a booking submission
+     * @param {object} submission - Leg built by handleDualSubmission()
+     * @returns {string|null}
+     */
+    function fingerprintSubmission(submission) {
+        return getFingerprint({
+            phone: submission.phone,
+            date: submission.pickupDate,
+            time: submission.pickupTime,
+            pickupAddress: submission.pickupAddress,
+            destinationAddress: submission.destinationAddress
+        });
+    }
+
+    // =================================================================
+    // RECENT SUBMISSIONS
+    // =================================================================
+
+    /**
+     * Read recent submissions, dropping expired ones
+     * @returns {Array} - [{fingerprint, confirmationCode, pickupDate, pickupTime, recordedAt}]
+     */
+    function getRecentSubmissions() {
+        try {
+            const raw = window.localStorage.getItem(DUPLICATE_CONFIG.storageKey);
+            const cutoff = Date.now() - DUPLICATE_CONFIG.retentionMs;
+            return (raw ? JSON.parse(raw) : []).filter(function(record) {
+                return record.recordedAt >= cutoff;
+            });
+        } catch (error) {
+            console.warn('Recent submissions unavailable:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Remember submitted legs so a repeat can be caught later
+     * @param {Array} submissions - Legs that were sent (or queued)
+     * @param {string} confirmationCode - Code shared by the legs
+     */
+    function recordSubmissions(submissions, confirmationCode) {
+        const records = getRecentSubmissions();
+
+        submissions.forEach(function(submission) {
+            const fingerprint = fingerprintSubmission(submission);
+            if (fingerprint) {
+                records.push({
+                    fingerprint: fingerprint,
+                    confirmationCode: confirmationCode,
+                    pickupDate: submission.pickupDate,
+                    pickupTime: submission.pickupTime,
+                    recordedAt: Date.now()
+                });
+            }
+        });
+
+        try {
+            window.localStorage.setItem(DUPLICATE_CONFIG.storageKey, JSON.stringify(records));
+        } catch (error) {
+            console.warn('Could not save recent submissions:', error.message);
+        }
+    }
+
+    // =================================================================
+    // DUPLICATE CHECK
+    // =================================================================
+
+    /**
+     * Find the first leg that matches a recent submission or an existing booking
+     * @param {Array} submissions - Legs about to be sent
+     * @param {Array} bookings - Bookings from the feed (e.g. cachedBookings)
+     * @returns {object|null} - {fingerprint, submission, source: 'recent'|'existing', confirmationCode}
+     */
+    function findDuplicate(submissions, bookings) {
+        const recent = getRecentSubmissions();
+        const existing = (bookings || []).map(function(booking) {
+            return getFingerprint({
+                phone: booking.phone,
+                date: booking.date,
+                time: booking.time,
+                pickupAddress: booking.pickupAddress,
+                destinationAddress: booking.destinationAddress
+            });
+        });
+
+        for (const submission of submissions) {
+            const fingerprint = fingerprintSubmission(submission);
+            if (!fingerprint) continue;
+
+            const record = recent.find(function(item) {
+                return item.fingerprint === fingerprint;
+            });
+            if (record) {
+                return { fingerprint: fingerprint, submission: submission, source: 'recent', confirmationCode: record.confirmationCode };
+            }
+
+            if (existing.indexOf(fingerprint) !== -1) {
+                return { fingerprint: fingerprint, submission: submission, source: 'existing', confirmationCode: null };
+            }
+        }
+
+        return null;
+    }
+
+    window.MidnightExpress = window.MidnightExpress || {};
+    window.MidnightExpress.duplicateGuard = {
+        DUPLICATE_CONFIG: DUPLICATE_CONFIG,
+        getFingerprint: getFingerprint,
+        fingerprintSubmission: fingerprintSubmission,
+        recordSubmissions: recordSubmissions,
+        findDuplicate: findDuplicate
+    };
+
+})(window);
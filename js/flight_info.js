@@ -0,0 +1,185 @@
+/**
+ * Midnight Express LKN - Flight Info
+ *
+ * Looks up scheduled arrivals for return flights so the booking form can
+ * pre-fill the landing time and warn when the entered time doesn't match.
+ * Every provider implements:
+ * - lookupArrival(flightNumber, dateStr) -> Promise<{flightNumber, date, scheduledArrival, origin, status} | null>
+ *   (scheduledArrival is "HH:MM" local time at the arrival airport; null when the flight isn't found)
+ *
+ * Providers:
+ * - fixture: the FIXTURE_FLIGHTS table below, for offline development and testing
+ * - http: a flight status endpoint, GET {baseUrl}/{flightNumber}?date=YYYY-MM-DD
+ *
+ * No provider is configured by default, so the form takes the landing time
+ * as entered; made-up fixture schedules must never reach real customers.
+ * The provider can be switched per page load with ?flights=fixture or ?flights=http
+ */
+
+(function($) {
+    "use strict";
+
+    // =================================================================
+    // CONFIGURATION
+    // =================================================================
+
+    const FLIGHT_INFO_CONFIG = {
+        provider: null, // 'http' once a flight status endpoint is available
+        http: {
+            baseUrl: '/api/flights'
+        },
+
+        /**
+         * Entered landing times within this many minutes of the schedule aren't flagged
+         */
+        mismatchToleranceMinutes: 10
+    };
+
+    /**
+     * Daily scheduled arrivals used by the fixture provider
+     * Keyed by flight number without spaces; a "dates" map overrides the time on specific days.
+     */
+    const FIXTURE_FLIGHTS = {
+        'AA1234': { origin: 'DFW', scheduledArrival: '14:35' },
+        'AA2020': { origin: 'LGA', scheduledArrival: '21:50' },
+        'DL1942': { origin: 'ATL', scheduledArrival: '09:15' },
+        'UA577': { origin: 'ORD', scheduledArrival: '17:05', dates: { '2026-12-24': '18:20' } },
+        'WN3310': { origin: 'BWI', scheduledArrival: '12:40' },
+        'B6123': { origin: 'BOS', scheduledArrival: '23:55' }
+    };
+
+    // =================================================================
+    // PROVIDERS
+    // =================================================================
+
+    /**
+     * Normalize a flight number for lookups ("jbu 0123" -> "B6123")
+     * @param {string} flightNumber - Flight number as entered
+     * @returns {string}
+     */
+    function normalizeFlightKey(flightNumber) {
+        const airlines = window.MidnightExpress.airlines;
+        return (airlines && airlines.normalizeFlightNumber(flightNumber)) ||
+               String(flightNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    /**
+     * Create a provider backed by a fixture table
+     * @param {object} flights - Table shaped like FIXTURE_FLIGHTS
+     * @returns {object} - Flight info provider
+     */
+    function createFixtureProvider(flights) {
+        return {
+            name: 'fixture',
+            lookupArrival: function(flightNumber, dateStr) {
+                const key = normalizeFlightKey(flightNumber);
+                const flight = flights[key];
+                if (!flight || !dateStr) {
+                    return Promise.resolve(null);
+                }
+
+                return Promise.resolve({
+                    flightNumber: key,
+                    date: dateStr,
+                    scheduledArrival: (flight.dates && flight.dates[dateStr]) || flight.scheduledArrival,
+                    origin: flight.origin,
+                    status: 'scheduled'
+                });
+            }
+        };
+    }
+
+    /**
+     * Create a provider for a flight status HTTP endpoint
+     * @param {object} config - {baseUrl}
+     * @returns {object} - Flight info provider
+     */
+    function createHttpProvider(config) {
+        return {
+            name: 'http',
+            lookupArrival: function(flightNumber, dateStr) {
+                return new Promise(function(resolve, reject) {
+                    $.ajax({
+                        url: config.baseUrl + '/' + encodeURIComponent(normalizeFlightKey(flightNumber)),
+                        method: 'GET',
+                        dataType: 'json',
+                        data: { date: dateStr },
+                        success: function(flight) {
+                            resolve(flight && flight.scheduledArrival ? flight : null);
+                        },
+                        error: function(xhr, status, error) {
+                            if (xhr.status === 404) {
+                                resolve(null);
+                            } else {
+                                reject(new Error('Flight lookup failed: ' + (error || status)));
+                            }
+                        }
+                    });
+                });
+            }
+        };
+    }
+
+    // =================================================================
+    // PROVIDER SELECTION & HELPERS
+    // =================================================================
+
+    const PROVIDER_FACTORIES = {
+        'fixture': function() {
+            return createFixtureProvider(FIXTURE_FLIGHTS);
+        },
+        'http': function() {
+            return createHttpProvider(FLIGHT_INFO_CONFIG.http);
+        }
+    };
+
+    let activeProvider;
+
+    /**
+     * Get the provider for this page load (?flights= overrides FLIGHT_INFO_CONFIG.provider)
+     * @returns {object|null} - Flight info provider, or null when none is configured
+     */
+    function getProvider() {
+        if (activeProvider === undefined) {
+            const requested = new URLSearchParams(window.location.search).get('flights');
+            const provider = PROVIDER_FACTORIES[requested] ? requested : FLIGHT_INFO_CONFIG.provider;
+            activeProvider = PROVIDER_FACTORIES[provider] ? PROVIDER_FACTORIES[provider]() : null;
+        }
+        return activeProvider;
+    }
+
+    /**
+     * Minutes between an entered landing time and the schedule
+     * @param {string} enteredTime - "HH:MM" or "HH:MM:SS"
+     * @param {string} scheduledTime - "HH:MM"
+     * @returns {number} - Absolute difference in minutes, allowing for midnight
+     */
+    function getArrivalDifference(enteredTime, scheduledTime) {
+        const [enteredHours, enteredMinutes] = enteredTime.split(':').map(Number);
+        const [scheduledHours, scheduledMinutes] = scheduledTime.split(':').map(Number);
+        const difference = Math.abs((enteredHours * 60 + enteredMinutes) - (scheduledHours * 60 + scheduledMinutes));
+        return Math.min(difference, 1440 - difference);
+    }
+
+    /**
+     * Whether an entered landing time matches the schedule
+     * @param {string} enteredTime - "HH:MM" or "HH:MM:SS"
+     * @param {string} scheduledTime - "HH:MM"
+     * @returns {boolean}
+     */
+    function matchesSchedule(enteredTime, scheduledTime) {
+        return getArrivalDifference(enteredTime, scheduledTime) <= FLIGHT_INFO_CONFIG.mismatchToleranceMinutes;
+    }
+
+    window.MidnightExpress = window.MidnightExpress || {};
+    window.MidnightExpress.flightInfo = {
+        FLIGHT_INFO_CONFIG: FLIGHT_INFO_CONFIG,
+        FIXTURE_FLIGHTS: FIXTURE_FLIGHTS,
+        createFixtureProvider: createFixtureProvider,
+        createHttpProvider: createHttpProvider,
+        getProvider: getProvider,
+        getArrivalDifference: getArrivalDifference,
+        matchesSchedule: matchesSchedule
+    };
+
+})(jQuery);
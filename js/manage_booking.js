@@ -0,0 +1,328 @@
+/**
+ * Midnight Express LKN - Manage My Booking
+ *
+ * Lets customers look up their upcoming rides with the phone number and
+ * confirmation code from their booking, then request a cancellation or a
+ * time change. Time changes go through the same advance notice and
+ * conflict rules as new bookings (js/availability.js).
+ *
+ * The booking service checks the phone number and confirmation code again
+ * before changing a ride. Backends that can't change bookings (Google Sheets)
+ * list the rides with our phone number instead of the buttons.
+ */
+
+(function($) {
+    "use strict";
+
+    const Availability = window.MidnightExpress.availability;
+    const Storage = window.MidnightExpress.storage;
+    const DateTime = window.MidnightExpress.datetime;
+
+    /**
+     * Storage adapter for this page (same backend as the booking form)
+     */
+    const bookingStore = Storage.getAdapter();
+
+    /**
+     * Last successful lookup, so the list can be refreshed after a change
+     */
+    let currentLookup = null;
+    let customerBookings = [];
+
+    // =================================================================
+    // FORMATTING
+    // =================================================================
+
+    /**
+     * Escape text typed by a customer for use in HTML, including attribute values
+     * @param {*} value - Text to escape
+     * @returns {string}
+     */
+    function escapeHtml(value) {
+        return $('<div>').text(value === undefined || value === null ? '' : String(value)).html().replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Pickup time of a booking as "HH:MM"
+     * @param {object} booking - Booking from the feed
+     * @returns {string}
+     */
+    function getPickupTime(booking) {
+        const time = Storage.parseBookingTime(booking.time);
+        return String(time.hours).padStart(2, '0') + ':' + String(time.minutes).padStart(2, '0');
+    }
+
+    /**
+     * Format a booking's pickup for display, e.g. "Tue, Oct 20, 2026 at 5:30 AM"
+     * @param {object} booking - Booking from the feed
+     * @returns {string}
+     */
+    function formatPickup(booking) {
+        const date = new Date(booking.date + 'T00:00:00');
+        const time = Storage.parseBookingTime(booking.time);
+        const ampm = time.hours >= 12 ? 'PM' : 'AM';
+        const displayHour = time.hours % 12 || 12;
+
+        return date.toLocaleDateString('en-US', { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' }) +
+               ' at ' + displayHour + ':' + String(time.minutes).padStart(2, '0') + ' ' + ampm;
+    }
+
+    // =================================================================
+    // LOOKUP
+    // =================================================================
+
+    /**
+     * Find upcoming rides for a phone number and confirmation code
+     * @param {string} phone - Phone number
+     * @param {string} code - Confirmation code
+     * @returns {Promise<Array>} - Upcoming bookings, earliest first
+     */
+    async function lookupBookings(phone, code) {
+        const bookings = await bookingStore.findBookings(phone, code);
+        const today = DateTime.getTodayKey();
+
+        return bookings.filter(function(booking) {
+            return booking.date >= today;
+        });
+    }
+
+    /**
+     * Render the customer's rides with cancel / change time actions
+     * @param {string} noticeHtml - Message shown above the list (optional)
+     */
+    function renderBookings(noticeHtml) {
+        let html = noticeHtml || '';
+
+        if (customerBookings.length === 0) {
+            html +=
+                '<div class="alert alert-warning">' +
+                '<p>We couldn\'t find any upcoming rides for that phone number and confirmation number. ' +
+                'Please check both and try again, or call us at (980) 422-9125.</p>' +
+                '</div>';
+            $('#manage-booking-results').html(html);
+            return;
+        }
+
+        customerBookings.forEach(function(booking, index) {
+            const legLabel = customerBookings.length > 1
+                ? (booking.isReturnFlight === 'Yes' ? 'Return' : 'Outbound')
+                : 'Ride';
+
+            html +=
+                '<div class="manage-ride" data-index="' + index + '">' +
+                '<h4>' + legLabel + ': ' + formatPickup(booking) + '</h4>' +
+                '<p>' + escapeHtml(booking.pickupAddress) + ' &rarr; ' + escapeHtml(booking.destinationAddress) + '</p>';
+
+            if (!bookingStore.canChangeBookings) {
+                html +=
+                    '<p>To cancel this ride or change its time, please call us at (980) 422-9125 ' +
+                    'and mention confirmation number <strong>' + escapeHtml(currentLookup.code) + '</strong>.</p>' +
+                    '</div>';
+                return;
+            }
+
+            html +=
+                '<p class="manage-ride-actions">' +
+                '<button type="button" class="btn btn-default manage-change-btn">Change Time</button> ' +
+                '<button type="button" class="btn btn-danger manage-cancel-btn">Request Cancellation</button>' +
+                '</p>' +
+                '<form class="manage-change-form form-inline" novalidate>' +
+                '<div class="form-group">' +
+                '<label>New date</label> <input type="date" class="form-control manage-change-date" min="' + DateTime.getTodayKey() + '" value="' + escapeHtml(booking.date) + '">' +
+                '</div> ' +
+                '<div class="form-group">' +
+                '<label>New time</label> <input type="time" class="form-control manage-change-time" step="300" value="' + getPickupTime(booking) + '">' +
+                '</div> ' +
+                '<button type="submit" class="btn btn-success">Request Change</button>' +
+                '<p class="help-block text-danger manage-change-error"></p>' +
+                '<div class="manage-change-suggestions"></div>' +
+                '</form>' +
+                '</div>';
+        });
+
+        $('#manage-booking-results').html(html);
+    }
+
+    /**
+     * Look up the current phone/code again and re-render
+     * @param {string} noticeHtml - Message shown above the list (optional)
+     */
+    async function refreshBookings(noticeHtml) {
+        customerBookings = await lookupBookings(currentLookup.phone, currentLookup.code);
+        renderBookings(noticeHtml);
+    }
+
+    // =================================================================
+    // CHANGES
+    // =================================================================
+
+    /**
+     * Check a new pickup time with the same rules as a new booking
+     * The ride being changed is left out so it doesn't conflict with itself.
+     *
+     * @param {object} booking - Ride being changed
+     * @param {string} dateStr - New date (YYYY-MM-DD)
+     * @param {string} timeStr - New time (HH:MM)
+     * @returns {Promise<object>} - {valid: boolean, error: string}
+     */
+    async function validateTimeChange(booking, dateStr, timeStr) {
+        // Keep a round trip's outbound leg before its return leg
+        const newPickup = dateStr + 'T' + timeStr;
+        const otherLeg = customerBookings.find(function(other) {
+            return other !== booking && other.isReturnFlight !== booking.isReturnFlight;
+        });
+        if (otherLeg) {
+            const otherPickup = otherLeg.date + 'T' + getPickupTime(otherLeg);
+            if (booking.isReturnFlight === 'Yes' ? newPickup <= otherPickup : newPickup >= otherPickup) {
+                return {
+                    valid: false,
+                    error: booking.isReturnFlight === 'Yes'
+                        ? 'Your return pickup must be after your outbound ride'
+                        : 'Your outbound ride must be before your return pickup'
+                };
+            }
+        }
+
+        const allBookings = await bookingStore.listBookings();
+        const otherBookings = allBookings.filter(function(other) {
+            return booking.id ? other.id !== booking.id : !Storage.matchesSubmission(other, {
+                pickupDate: booking.date,
+                pickupTime: booking.time,
+                phone: String(booking.phone || '').replace(/\D/g, ''),
+                confirmationCode: Storage.getConfirmationCode(booking)
+            });
+        });
+
+        return Availability.validateBookingTime(
+            dateStr,
+            timeStr,
+            Availability.scheduleBookingsForDate(otherBookings, dateStr),
+            { pickup: booking.pickupAddress, destination: booking.destinationAddress },
+            otherBookings
+        );
+    }
+
+    /**
+     * Phone number and confirmation code from the lookup, sent with each change
+     * @returns {object} - {phone, confirmationCode}
+     */
+    function getCustomer() {
+        return { phone: currentLookup.phone, confirmationCode: currentLookup.code };
+    }
+
+    /**
+     * Show an error from the booking service under a ride
+     * @param {jQuery} $ride - Ride element
+     * @param {Error} error - Error from the storage adapter
+     */
+    function showRideError($ride, error) {
+        $ride.find('.manage-change-error').text(error.message).show();
+    }
+
+    // =================================================================
+    // INITIALIZATION
+    // =================================================================
+
+    $(function() {
+        const $form = $('#manageBookingForm');
+        if ($form.length === 0) {
+            return; // Manage view not on this page
+        }
+
+        const $results = $('#manage-booking-results');
+
+        $form.on('submit', async function(e) {
+            e.preventDefault();
+
+            const phone = $('#manage-phone').val().replace(/\D/g, '');
+            const code = $('#manage-code').val().trim().toUpperCase();
+            if (phone.length !== 10 || !code) {
+                $results.html('<div class="alert alert-danger"><p>Please enter your 10 digit phone number and your confirmation number (e.g. ME-7K3P9Q).</p></div>');
+                return;
+            }
+
+            const $submitBtn = $form.find('button[type="submit"]');
+            const originalBtnText = $submitBtn.html();
+            $submitBtn.html('<i class="fa fa-spinner fa-spin"></i> Looking up...').prop('disabled', true);
+
+            try {
+                currentLookup = { phone: phone, code: code };
+                await refreshBookings();
+            } catch (error) {
+                console.error('Booking lookup error:', error);
+                $results.html(
+                    '<div class="alert alert-danger"><p>We couldn\'t reach our booking system. ' +
+                    'Please try again or call us at (980) 422-9125.</p></div>'
+                );
+            } finally {
+                $submitBtn.html(originalBtnText).prop('disabled', false);
+            }
+        });
+
+        $results.on('click', '.manage-change-btn', function() {
+            $(this).closest('.manage-ride').find('.manage-change-form').slideToggle();
+        });
+
+        // A suggested time fills the change form; the customer still confirms it
+        $results.on('click', '.slot-suggestion', function() {
+            const $ride = $(this).closest('.manage-ride');
+            $ride.find('.manage-change-date').val($(this).attr('data-date'));
+            $ride.find('.manage-change-time').val($(this).attr('data-time'));
+            $ride.find('.manage-change-error').text('').hide();
+            $ride.find('.manage-change-suggestions').html('');
+        });
+
+        $results.on('click', '.manage-cancel-btn', async function() {
+            const $ride = $(this).closest('.manage-ride');
+            const booking = customerBookings[$ride.data('index')];
+
+            if (!window.confirm('Cancel your ride on ' + formatPickup(booking) + '?')) {
+                return;
+            }
+
+            try {
+                await bookingStore.cancelBooking(booking.id, getCustomer());
+                await refreshBookings(
+                    '<div class="alert alert-success"><p>Your ride on <strong>' + formatPickup(booking) + '</strong> has been cancelled.</p></div>'
+                );
+            } catch (error) {
+                showRideError($ride, error);
+            }
+        });
+
+        $results.on('submit', '.manage-change-form', async function(e) {
+            e.preventDefault();
+
+            const $ride = $(this).closest('.manage-ride');
+            const booking = customerBookings[$ride.data('index')];
+            const dateStr = $ride.find('.manage-change-date').val();
+            const timeStr = $ride.find('.manage-change-time').val();
+            $ride.find('.manage-change-error').text('').hide();
+            $ride.find('.manage-change-suggestions').html('');
+
+            try {
+                const validation = await validateTimeChange(booking, dateStr, timeStr);
+                if (!validation.valid) {
+                    $ride.find('.manage-change-error').text(validation.error).show();
+                    if (validation.suggestions) {
+                        $ride.find('.manage-change-suggestions').html(Availability.buildSlotChips(validation.suggestions, dateStr));
+                    }
+                    return;
+                }
+
+                const updated = await bookingStore.rescheduleBooking(booking.id, {
+                    pickupDate: dateStr,
+                    pickupTime: timeStr + ':00',
+                    pickupAt: DateTime.toISOWithOffset(dateStr, timeStr)
+                }, getCustomer());
+                await refreshBookings(
+                    '<div class="alert alert-success"><p>Your ride has been moved to <strong>' + formatPickup(updated) + '</strong>. ' +
+                    'We will call you to confirm the new time.</p></div>'
+                );
+            } catch (error) {
+                showRideError($ride, error);
+            }
+        });
+    });
+
+})(jQuery);
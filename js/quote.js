@@ -0,0 +1,171 @@
+/**
+ * Midnight Express LKN - Fare Quote Engine
+ *
+ * Calculates the estimated fare shown in the #booking-quote panel:
+ * - Flat airport rates driven by the QUOTE_RATES table
+ * - Per-passenger fee over the included passenger count
+ * - Checked bags and round-trip line items
+ */
+
+(function(window) {
+    "use strict";
+
+    // =================================================================
+    // CONFIGURATION
+    // =================================================================
+
+    /**
+     * Fare table used for every quote.
+     * Airports are matched (in order) against the destination, then the pickup,
+     * so trips home from the airport are quoted at the same flat rate.
+     */
+    const QUOTE_RATES = {
+        airports: [
+            {
+                id: 'clt',
+                label: 'Charlotte Douglas (CLT)',
+                fare: 85,
+                keywords: ['clt', 'charlotte douglas', 'charlotte airport', 'charlotte international']
+            },
+            {
+                id: 'concord',
+                label: 'Concord Regional',
+                fare: 65,
+                keywords: ['concord', 'jqf']
+            },
+            {
+                id: 'private',
+                label: 'Private airfield',
+                fare: 75,
+                keywords: ['private', 'airfield', 'airpark', 'airstrip', 'lincoln county regional', 'ipj', 'hickory regional', 'hky', 'statesville regional', 'svh', '14a']
+            }
+        ],
+        includedPassengers: 2,  // Passengers covered by the flat rate
+        extraPassengerFee: 10,  // Per passenger over includedPassengers
+        checkedBagsFee: 0       // Per leg; 0 shows as "Included"
+    };
+
+    // =================================================================
+    // QUOTE CALCULATION
+    // =================================================================
+
+    /**
+     * Escape a keyword for use inside a RegExp
+     * @param {string} text - Raw keyword
+     * @returns {string}
+     */
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Find the airport rate matching an address
+     * @param {string} address - Free-text address entered by the customer
+     * @returns {object|null} - Matching entry from QUOTE_RATES.airports
+     */
+    function matchAirport(address) {
+        if (!address) return null;
+        const text = address.toLowerCase();
+
+        for (let i = 0; i < QUOTE_RATES.airports.length; i++) {
+            const airport = QUOTE_RATES.airports[i];
+            const matched = airport.keywords.some(function(keyword) {
+                return new RegExp('\\b' + escapeRegExp(keyword) + '\\b').test(text);
+            });
+            if (matched) {
+                return airport;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Format a dollar amount
+     * @param {number} amount - Amount in dollars
+     * @returns {string} - e.g. "$85"
+     */
+    function formatCurrency(amount) {
+        return '$' + amount.toFixed(amount % 1 === 0 ? 0 : 2);
+    }
+
+    /**
+     * Calculate a fare quote with a line-item breakdown
+     * @param {object} trip - {pickup, destination, airportTrip, passengers, checkedBags, roundTrip}
+     * @returns {object} - {available: boolean, reason: string, airport: object, lineItems: Array, total: number}
+     */
+    function calculateQuote(trip) {
+        if (trip.airportTrip !== 'Yes') {
+            return {
+                available: false,
+                reason: trip.airportTrip === 'No' ? 'Non-airport trips are quoted by phone.' : '',
+                airport: null,
+                lineItems: [],
+                total: 0
+            };
+        }
+
+        const airport = matchAirport(trip.destination) || matchAirport(trip.pickup);
+        if (!airport) {
+            return {
+                available: false,
+                reason: 'Enter CLT, Concord Regional or a private airfield to see an estimate.',
+                airport: null,
+                lineItems: [],
+                total: 0
+            };
+        }
+
+        const passengers = Math.max(parseInt(trip.passengers, 10) || 1, 1);
+        const extraPassengers = Math.max(passengers - QUOTE_RATES.includedPassengers, 0);
+        const lineItems = [];
+
+        lineItems.push({
+            label: 'Flat rate - ' + airport.label,
+            amount: airport.fare
+        });
+
+        if (extraPassengers > 0) {
+            lineItems.push({
+                label: 'Additional passengers (' + extraPassengers + ' x ' + formatCurrency(QUOTE_RATES.extraPassengerFee) + ')',
+                amount: extraPassengers * QUOTE_RATES.extraPassengerFee
+            });
+        }
+
+        if (trip.checkedBags) {
+            lineItems.push({
+                label: 'Checked bags',
+                amount: QUOTE_RATES.checkedBagsFee
+            });
+        }
+
+        // Return leg is charged at the same rate as the outbound leg
+        const legTotal = lineItems.reduce(function(sum, item) {
+            return sum + item.amount;
+        }, 0);
+
+        if (trip.roundTrip) {
+            lineItems.push({
+                label: 'Return trip',
+                amount: legTotal
+            });
+        }
+
+        return {
+            available: true,
+            reason: '',
+            airport: airport,
+            lineItems: lineItems,
+            total: trip.roundTrip ? legTotal * 2 : legTotal
+        };
+    }
+
+    window.MidnightExpress = window.MidnightExpress || {};
+    window.MidnightExpress.quote = {
+        QUOTE_RATES: QUOTE_RATES,
+        matchAirport: matchAirport,
+        formatCurrency: formatCurrency,
+        calculateQuote: calculateQuote
+    };
+
+})(window);
@@ -0,0 +1,140 @@
+/**
+ * Midnight Express LKN - Recurring Rides
+ *
+ * Expands a recurrence rule (weekly on chosen weekdays, or every N days,
+ * until a date or for N rides) into the individual pickup dates that are
+ * submitted as separate bookings.
+ */
+
+(function(window) {
+    "use strict";
+
+    // =================================================================
+    // CONFIGURATION
+    // =================================================================
+
+    /**
+     * Limits on how far a series can run
+     * - maxOccurrences: rides created by one submission
+     * - bookingWindowDays: same 90 day maximum advance booking as single rides
+     */
+    const RECURRENCE_LIMITS = {
+        maxOccurrences: 52,
+        bookingWindowDays: 90
+    };
+
+    const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+    // =================================================================
+    // DATE HELPERS
+    // =================================================================
+
+    /**
+     * Parse a YYYY-MM-DD date as midnight UTC (so day math ignores DST)
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @returns {number} - Milliseconds since the epoch
+     */
+    function parseDateKey(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    }
+
+    /**
+     * Add days to a date
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @param {number} days - Days to add (may be negative)
+     * @returns {string} - Date in YYYY-MM-DD format
+     */
+    function addDays(dateStr, days) {
+        return new Date(parseDateKey(dateStr) + days * MS_PER_DAY).toISOString().split('T')[0];
+    }
+
+    /**
+     * Whole days from one date to another
+     * @param {string} fromDate - Date in YYYY-MM-DD format
+     * @param {string} toDate - Date in YYYY-MM-DD format
+     * @returns {number}
+     */
+    function daysBetween(fromDate, toDate) {
+        return Math.round((parseDateKey(toDate) - parseDateKey(fromDate)) / MS_PER_DAY);
+    }
+
+    /**
+     * Day of the week for a date
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @returns {number} - 0 (Sunday) to 6 (Saturday)
+     */
+    function getWeekday(dateStr) {
+        return new Date(parseDateKey(dateStr)).getUTCDay();
+    }
+
+    // =================================================================
+    // EXPANSION
+    // =================================================================
+
+    /**
+     * Expand a recurrence rule into pickup dates
+     * Weekly rules ride on the chosen weekdays from the start date onward;
+     * interval rules ride on the start date and every N days after it.
+     *
+     * @param {string} startDate - First pickup date (YYYY-MM-DD)
+     * @param {object} rule - {frequency: 'weekly'|'interval', weekdays: [0-6], intervalDays, untilDate, count}
+     * @param {string} todayStr - Today's date (YYYY-MM-DD), used for the booking window
+     * @returns {object} - {dates: Array<string>, truncated: boolean} (truncated when a limit cut the series short)
+     */
+    function expandOccurrences(startDate, rule, todayStr) {
+        const lastBookable = addDays(todayStr, RECURRENCE_LIMITS.bookingWindowDays);
+        const wanted = rule.count ? Math.min(rule.count, RECURRENCE_LIMITS.maxOccurrences) : RECURRENCE_LIMITS.maxOccurrences;
+        const lastDate = rule.untilDate && rule.untilDate < lastBookable ? rule.untilDate : lastBookable;
+        const step = rule.frequency === 'interval' ? Math.max(parseInt(rule.intervalDays, 10) || 1, 1) : 1;
+
+        const dates = [];
+        let date = startDate;
+
+        while (date <= lastDate && dates.length < wanted) {
+            if (rule.frequency === 'interval' || rule.weekdays.indexOf(getWeekday(date)) !== -1) {
+                dates.push(date);
+            }
+            date = addDays(date, step);
+        }
+
+        // More rides were asked for than the limits allow
+        const truncated = rule.count
+            ? dates.length < rule.count
+            : Boolean(rule.untilDate) && date <= rule.untilDate;
+
+        return {
+            dates: dates,
+            truncated: truncated
+        };
+    }
+
+    /**
+     * Describe a rule, e.g. "Weekly on Mon, Wed, Fri" or "Every 3 days"
+     * @param {object} rule - Recurrence rule
+     * @returns {string}
+     */
+    function describeRule(rule) {
+        if (rule.frequency === 'interval') {
+            const days = Math.max(parseInt(rule.intervalDays, 10) || 1, 1);
+            return days === 1 ? 'Every day' : 'Every ' + days + ' days';
+        }
+        return 'Weekly on ' + rule.weekdays.slice().sort().map(function(day) {
+            return WEEKDAY_NAMES[day];
+        }).join(', ');
+    }
+
+    window.MidnightExpress = window.MidnightExpress || {};
+    window.MidnightExpress.recurrence = {
+        RECURRENCE_LIMITS: RECURRENCE_LIMITS,
+        WEEKDAY_NAMES: WEEKDAY_NAMES,
+        addDays: addDays,
+        daysBetween: daysBetween,
+        getWeekday: getWeekday,
+        expandOccurrences: expandOccurrences,
+        describeRule: describeRule
+    };
+
+})(window);
@@ -0,0 +1,270 @@
+/**
+ * Midnight Express LKN - Operating Schedule
+ *
+ * When pickups can be booked: per-weekday hours, holiday blackouts and
+ * owner vacations. Drives the date picker's disabled days and time range,
+ * the default pickup time, the timeline's closed regions and pickup validation.
+ */
+
+(function(window) {
+    "use strict";
+
+    // =================================================================
+    // CONFIGURATION
+    // =================================================================
+
+    /**
+     * Pickup hours by weekday (0 = Sunday ... 6 = Saturday), as "HH:MM" in local time
+     * - open/close bound the pickup time; close "24:00" means through the end of the day
+     * - null closes that weekday entirely
+     */
+    const OPERATING_HOURS = {
+        0: { open: '00:00', close: '24:00' },
+        1: { open: '00:00', close: '24:00' },
+        2: { open: '00:00', close: '24:00' },
+        3: { open: '00:00', close: '24:00' },
+        4: { open: '00:00', close: '24:00' },
+        5: { open: '00:00', close: '24:00' },
+        6: { open: '00:00', close: '24:00' }
+    };
+
+    /**
+     * Holidays with no pickups (YYYY-MM-DD), set by the owner each year
+     * e.g. { date: '2026-12-25', name: 'Christmas Day' }
+     */
+    const HOLIDAY_BLACKOUTS = [];
+
+    /**
+     * Owner vacations with no pickups, inclusive date ranges
+     * e.g. { start: '2027-02-14', end: '2027-02-21', name: 'Owner vacation' }
+     */
+    const VACATION_BLACKOUTS = [];
+
+    const MINUTES_PER_DAY = 1440;
+
+    // =================================================================
+    // LOOKUPS
+    // =================================================================
+
+    /**
+     * Local date key for a Date
+     * @param {Date} date - Date
+     * @returns {string} - Date in YYYY-MM-DD format
+     */
+    function toDateKey(date) {
+        return date.getFullYear() + '-' +
+               String(date.getMonth() + 1).padStart(2, '0') + '-' +
+               String(date.getDate()).padStart(2, '0');
+    }
+
+    /**
+     * Convert "HH:MM" to minutes since midnight
+     * @param {string} timeStr - Time in HH:MM or HH:MM:SS format
+     * @returns {number}
+     */
+    function toMinutes(timeStr) {
+        const [hours, minutes] = timeStr.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Find the holiday or vacation covering a date
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @returns {object|null} - {type: 'holiday'|'vacation', name, start, end}
+     */
+    function getBlackout(dateStr) {
+        const holiday = HOLIDAY_BLACKOUTS.find(function(blackout) {
+            return blackout.date === dateStr;
+        });
+        if (holiday) {
+            return { type: 'holiday', name: holiday.name, start: holiday.date, end: holiday.date };
+        }
+
+        const vacation = VACATION_BLACKOUTS.find(function(blackout) {
+            return dateStr >= blackout.start && dateStr <= blackout.end;
+        });
+        if (vacation) {
+            return { type: 'vacation', name: vacation.name, start: vacation.start, end: vacation.end };
+        }
+
+        return null;
+    }
+
+    /**
+     * Pickup hours for a date
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @returns {object|null} - {openMinutes, closeMinutes} (minutes since midnight), or null when closed all day
+     */
+    function getHoursForDate(dateStr) {
+        if (getBlackout(dateStr)) {
+            return null;
+        }
+
+        const [year, month, day] = dateStr.split('-').map(Number);
+        const hours = OPERATING_HOURS[new Date(year, month - 1, day).getDay()];
+        if (!hours) {
+            return null;
+        }
+
+        return {
+            openMinutes: toMinutes(hours.open),
+            closeMinutes: toMinutes(hours.close)
+        };
+    }
+
+    /**
+     * Whether a date has no pickups at all (for the date picker's disable option)
+     * @param {Date} date - Date from the picker
+     * @returns {boolean}
+     */
+    function isClosedDate(date) {
+        return getHoursForDate(toDateKey(date)) === null;
+    }
+
+    /**
+     * Parts of a day outside pickup hours, for shading the timeline
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @returns {Array} - [{start, end}] in minutes since midnight
+     */
+    function getClosedRanges(dateStr) {
+        const hours = getHoursForDate(dateStr);
+        if (!hours) {
+            return [{ start: 0, end: MINUTES_PER_DAY }];
+        }
+
+        const ranges = [];
+        if (hours.openMinutes > 0) {
+            ranges.push({ start: 0, end: hours.openMinutes });
+        }
+        if (hours.closeMinutes < MINUTES_PER_DAY) {
+            ranges.push({ start: hours.closeMinutes, end: MINUTES_PER_DAY });
+        }
+        return ranges;
+    }
+
+    // =================================================================
+    // VALIDATION & DEFAULTS
+    // =================================================================
+
+    /**
+     * Format minutes since midnight as "8:00 AM"
+     * @param {number} totalMinutes - Minutes since midnight
+     * @returns {string}
+     */
+    function formatMinutes(totalMinutes) {
+        const hours = Math.floor(totalMinutes / 60) % 24;
+        const minutes = totalMinutes % 60;
+        return (hours % 12 || 12) + ':' + String(minutes).padStart(2, '0') + ' ' + (hours >= 12 ? 'PM' : 'AM');
+    }
+
+    /**
+     * Describe a day's pickup hours, e.g. "between 8:00 AM and 6:00 PM" or "from 8:00 AM until midnight"
+     * @param {object} hours - {openMinutes, closeMinutes} from getHoursForDate()
+     * @returns {string}
+     */
+    function describeHours(hours) {
+        if (hours.openMinutes <= 0 && hours.closeMinutes >= MINUTES_PER_DAY) {
+            return 'available around the clock';
+        }
+        if (hours.closeMinutes >= MINUTES_PER_DAY) {
+            return 'from ' + formatMinutes(hours.openMinutes) + ' until midnight';
+        }
+        return 'between ' + formatMinutes(hours.openMinutes) + ' and ' + formatMinutes(hours.closeMinutes);
+    }
+
+    /**
+     * Format a date key as "Feb 14"
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @returns {string}
+     */
+    function formatDateKey(dateStr) {
+        return new Date(dateStr + 'T00:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Check a pickup time against the operating schedule
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @param {string} timeStr - Time in HH:MM or HH:MM:SS format
+     * @returns {object} - {valid: boolean, error: string}
+     */
+    function checkPickupTime(dateStr, timeStr) {
+        const blackout = getBlackout(dateStr);
+        if (blackout) {
+            return {
+                valid: false,
+                error: blackout.type === 'holiday'
+                    ? 'We are closed for ' + blackout.name + '. Please choose another day'
+                    : 'We are not taking pickups from ' + formatDateKey(blackout.start) + ' through ' + formatDateKey(blackout.end) + '. Please choose another day'
+            };
+        }
+
+        const hours = getHoursForDate(dateStr);
+        if (!hours) {
+            return {
+                valid: false,
+                error: 'We are closed that day. Please choose another day'
+            };
+        }
+
+        // Open all day: every time is within hours
+        const minutes = toMinutes(timeStr);
+        const allDay = hours.openMinutes <= 0 && hours.closeMinutes >= MINUTES_PER_DAY;
+        if (!allDay && (minutes < hours.openMinutes || minutes >= hours.closeMinutes)) {
+            return {
+                valid: false,
+                error: 'Pickups that day are ' + describeHours(hours) + '. Please choose a time within those hours'
+            };
+        }
+
+        return {
+            valid: true,
+            error: ''
+        };
+    }
+
+    /**
+     * Earliest open pickup at or after a time, on the 5 minute picker step
+     * Looks up to a year ahead; returns null when nothing is open in that time.
+     *
+     * @param {Date} fromTime - Earliest acceptable pickup
+     * @returns {Date|null}
+     */
+    function getNextOpenTime(fromTime) {
+        const candidate = new Date(fromTime);
+        candidate.setSeconds(0, 0);
+        candidate.setMinutes(Math.ceil(candidate.getMinutes() / 5) * 5);
+
+        for (let day = 0; day < 366; day++) {
+            const hours = getHoursForDate(toDateKey(candidate));
+            const minutes = candidate.getHours() * 60 + candidate.getMinutes();
+
+            if (hours && minutes < hours.closeMinutes) {
+                if (minutes < hours.openMinutes) {
+                    candidate.setHours(0, hours.openMinutes, 0, 0);
+                }
+                return candidate;
+            }
+
+            // Closed for the rest of this day; try the next one from midnight
+            candidate.setDate(candidate.getDate() + 1);
+            candidate.setHours(0, 0, 0, 0);
+        }
+
+        return null;
+    }
+
+    window.MidnightExpress = window.MidnightExpress || {};
+    window.MidnightExpress.schedule = {
+        OPERATING_HOURS: OPERATING_HOURS,
+        HOLIDAY_BLACKOUTS: HOLIDAY_BLACKOUTS,
+        VACATION_BLACKOUTS: VACATION_BLACKOUTS,
+        toDateKey: toDateKey,
+        getBlackout: getBlackout,
+        getHoursForDate: getHoursForDate,
+        isClosedDate: isClosedDate,
+        getClosedRanges: getClosedRanges,
+        checkPickupTime: checkPickupTime,
+        getNextOpenTime: getNextOpenTime
+    };
+
+})(window);
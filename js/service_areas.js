@@ -0,0 +1,121 @@
+/**
+ * Midnight Express LKN - Service Areas
+ *
+ * Matches free-text pickup and destination addresses against the towns
+ * listed in the "Areas We Serve" section and their ZIP codes.
+ * Airports are recognized through the quote engine's airport table.
+ */
+
+(function(window) {
+    "use strict";
+
+    // =================================================================
+    // CONFIGURATION
+    // =================================================================
+
+    /**
+     * Towns from the "Areas We Serve" section
+     * names - Spellings matched against the address text
+     * zips  - ZIP codes treated as inside the area
+     */
+    const SERVICE_AREAS = [
+        { name: 'Denver', names: ['denver'], zips: ['28037'] },
+        { name: 'Sherrills Ford', names: ['sherrills ford', 'sherrill\'s ford', 'sherrils ford'], zips: ['28673'] },
+        { name: 'Catawba', names: ['catawba'], zips: ['28609'] },
+        { name: 'Terrell', names: ['terrell'], zips: ['28682'] },
+        { name: 'Maiden', names: ['maiden'], zips: ['28650'] },
+        { name: 'Pumpkin Center', names: ['pumpkin center', 'pumpkin centre'], zips: [] },
+        { name: 'Lincolnton', names: ['lincolnton'], zips: ['28092', '28093'] },
+        { name: 'Iron Station', names: ['iron station'], zips: ['28080'] },
+        { name: 'Lowesville', names: ['lowesville'], zips: [] },
+        { name: 'Stanley County', names: ['stanley'], zips: ['28164'] },
+        { name: 'Lake Norman', names: ['lake norman', 'lkn'], zips: [] }
+    ];
+
+    const OUT_OF_AREA_MESSAGE = 'This address looks outside our usual service area. Please call (980) 422-9125 so we can confirm we can take this ride.';
+
+    // =================================================================
+    // MATCHING
+    // =================================================================
+
+    /**
+     * Check whether a piece of text contains a phrase as whole words
+     * @param {string} text - Lowercased text
+     * @param {string} phrase - Lowercased phrase
+     * @returns {boolean}
+     */
+    function containsPhrase(text, phrase) {
+        const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp('\\b' + escaped + '\\b').test(text);
+    }
+
+    /**
+     * Match an address against the service areas
+     * A ZIP code in the text decides the result on its own; otherwise the
+     * town names and known airports are checked.
+     *
+     * @param {string} address - Free-text address
+     * @returns {object} - {inArea: boolean, area: string}
+     */
+    function checkAddress(address) {
+        const text = (address || '').toLowerCase().trim();
+        if (!text) {
+            return { inArea: false, area: '' };
+        }
+
+        const zipMatch = text.match(/\b(\d{5})(?:-\d{4})?\b/);
+        if (zipMatch) {
+            const zipArea = SERVICE_AREAS.find(function(area) {
+                return area.zips.indexOf(zipMatch[1]) !== -1;
+            });
+            if (zipArea) {
+                return { inArea: true, area: zipArea.name };
+            }
+        }
+
+        const townArea = SERVICE_AREAS.find(function(area) {
+            return area.names.some(function(name) {
+                return containsPhrase(text, name);
+            });
+        });
+        if (townArea && !zipMatch) {
+            return { inArea: true, area: townArea.name };
+        }
+
+        const quote = window.MidnightExpress.quote;
+        const airport = quote ? quote.matchAirport(text) : null;
+        if (airport) {
+            return { inArea: true, area: airport.label };
+        }
+
+        return { inArea: false, area: '' };
+    }
+
+    /**
+     * Check both ends of a trip
+     * @param {string} pickup - Pickup address
+     * @param {string} destination - Destination address
+     * @returns {object} - {inArea: boolean, pickup: object, destination: object, tag: string}
+     */
+    function checkTrip(pickup, destination) {
+        const pickupResult = checkAddress(pickup);
+        const destinationResult = checkAddress(destination);
+        const inArea = pickupResult.inArea && destinationResult.inArea;
+
+        return {
+            inArea: inArea,
+            pickup: pickupResult,
+            destination: destinationResult,
+            tag: inArea ? 'In area' : 'Out of area'
+        };
+    }
+
+    window.MidnightExpress = window.MidnightExpress || {};
+    window.MidnightExpress.serviceAreas = {
+        SERVICE_AREAS: SERVICE_AREAS,
+        OUT_OF_AREA_MESSAGE: OUT_OF_AREA_MESSAGE,
+        checkAddress: checkAddress,
+        checkTrip: checkTrip
+    };
+
+})(window);
@@ -0,0 +1,538 @@
+/**
+ * Midnight Express LKN - Booking Storage
+ *
+ * Storage adapters used by the booking form. Every adapter implements:
+ * - listBookings()          -> Promise<Array> of bookings ({date, time, ...})
+ * - createBooking(data)     -> Promise resolving to a receipt once the booking is sent
+ * - verifyBooking(data, receipt) -> Promise<{confirmed, confirmationCode}> once the
+ *                              booking is visible in storage (or verification timed out)
+ * - findBookings(phone, confirmationCode)
+ *                           -> Promise<Array> of that customer's active bookings
+ * - cancelBooking(id, customer) -> Promise resolving once the booking is cancelled
+ * - rescheduleBooking(id, {pickupDate, pickupTime, pickupAt}, customer)
+ *                           -> Promise resolving to the updated booking
+ * - canChangeBookings       -> whether cancelBooking/rescheduleBooking can succeed
+ *
+ * customer is {phone, confirmationCode} from the customer's lookup; the booking
+ * service checks it against the booking before changing anything.
+ *
+ * Adapters:
+ * - google-sheets: Google Form submissions + Apps Script bookings feed
+ * - rest: the self-hosted server in server/server.js (npm run serve)
+ * - fixture: read-only bookings from fixtures/bookings.json, for offline testing
+ *
+ * Adapters reject with error.retryable = true when the booking service
+ * couldn't be reached, so callers can queue the request and try again later.
+ *
+ * The backend can be switched per page load with ?backend=rest. The REST
+ * server only lists full bookings (customer details) to the dispatch board,
+ * which passes its admin token as ?token=; the booking form gets the
+ * server's availability view instead.
+ */
+
+(function($) {
+    "use strict";
+
+    // =================================================================
+    // CONFIGURATION
+    // =================================================================
+
+    const STORAGE_CONFIG = {
+        backend: 'google-sheets',
+        googleSheets: {
+            /**
+             * URL to fetch existing bookings from Google Apps Script
+             * Returns booking data including airportFlight field
+             */
+            bookingsUrl: 'https://script.google.com/macros/s/AKfycbyzD03cKqcnv4SIJ1n_Pt7jDbVQkJt5oR0yvXokdVpbyO7JqMQ3Px0UkbfkJLvdDRyf/exec',
+
+            /**
+             * Google Form submission URL (from the form action)
+             */
+            formUrl: 'https://docs.google.com/forms/d/e/1FAIpQLSelLJ8Yqj8jHXreIB3DW8MvsBUtHea8DB7UTjyaYkM3Q2RbTA/formResponse',
+
+            /**
+             * Google Forms hides the real response behind CORS errors, so a submission
+             * is only confirmed once its row shows up in the bookings feed
+             */
+            verifyIntervalMs: 3000,
+            verifyTimeoutMs: 30000
+        },
+        rest: {
+            baseUrl: '/api',
+            adminToken: null // Set from ?token= on the dispatch board
+        },
+        fixture: {
+            bookingsUrl: 'fixtures/bookings.json'
+        }
+    };
+
+    // =================================================================
+    // BOOKING FEED HELPERS
+    // =================================================================
+
+    /**
+     * Create an error for a request that never reached the booking service
+     * @param {string} message - Error message
+     * @returns {Error} - Error flagged as retryable
+     */
+    function createRetryableError(message) {
+        const error = new Error(message);
+        error.retryable = true;
+        return error;
+    }
+
+    /**
+     * Parse booking time from the API
+     * Google Sheets sends time-only cells as "1899-12-30T15:17:11.000Z" and the
+     * REST server sends "15:17:11"; both are New York wall time (see js/datetime.js).
+     *
+     * @param {string} timeStr - Time string from API
+     * @returns {object} - {hours: number, minutes: number}
+     */
+    function parseBookingTime(timeStr) {
+        return window.MidnightExpress.datetime.parseTime(timeStr);
+    }
+
+    /**
+     * Check whether a booking from the feed is the row created for a submission
+     * Date and time must match; phone and confirmation code are compared when the feed includes them.
+     *
+     * @param {object} booking - Booking from listBookings()
+     * @param {object} submissionData - Submitted booking data
+     * @returns {boolean}
+     */
+    function matchesSubmission(booking, submissionData) {
+        if (booking.date !== submissionData.pickupDate || !booking.time) {
+            return false;
+        }
+
+        const bookedTime = parseBookingTime(booking.time);
+        const submittedTime = parseBookingTime(submissionData.pickupTime);
+        if (bookedTime.hours !== submittedTime.hours || bookedTime.minutes !== submittedTime.minutes) {
+            return false;
+        }
+
+        if (booking.phone && String(booking.phone).replace(/\D/g, '') !== submissionData.phone) {
+            return false;
+        }
+
+        const notes = booking.specialNotes || booking.notes;
+        if (notes && submissionData.confirmationCode && String(notes).indexOf(submissionData.confirmationCode) === -1) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Read the confirmation code of a booking from the feed
+     * The REST server stores it as a field; Google Sheets rows carry it in the notes as "[Ref: ME-XXXXXX]".
+     *
+     * @param {object} booking - Booking from listBookings()
+     * @returns {string|null}
+     */
+    function getConfirmationCode(booking) {
+        if (booking.confirmationCode) {
+            return booking.confirmationCode;
+        }
+        const match = /\[Ref: ([A-Z0-9-]+)\]/.exec(booking.specialNotes || booking.notes || '');
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Find the bookings made under a phone number and confirmation code
+     * Both legs of a round trip share one code, so both are returned.
+     *
+     * @param {Array} bookings - Bookings from listBookings()
+     * @param {string} phone - Customer phone number (any format)
+     * @param {string} confirmationCode - e.g. "ME-7K3P9Q"
+     * @returns {Array} - Matching bookings, earliest pickup first
+     */
+    function findCustomerBookings(bookings, phone, confirmationCode) {
+        const phoneDigits = String(phone || '').replace(/\D/g, '');
+        const code = String(confirmationCode || '').trim().toUpperCase();
+
+        return bookings.filter(function(booking) {
+            return String(booking.phone || '').replace(/\D/g, '') === phoneDigits &&
+                   getConfirmationCode(booking) === code;
+        }).sort(function(a, b) {
+            const timeA = parseBookingTime(a.time);
+            const timeB = parseBookingTime(b.time);
+            return a.date.localeCompare(b.date) ||
+                   (timeA.hours * 60 + timeA.minutes) - (timeB.hours * 60 + timeB.minutes);
+        });
+    }
+
+    // =================================================================
+    // GOOGLE FORMS / SHEETS ADAPTER
+    // =================================================================
+
+    /**
+     * Describe intermediate stops for the notes field, e.g. "1) 12 Main St (+2)"
+     * @param {Array} stops - [{address, passengers}]
+     * @returns {string}
+     */
+    function describeStops(stops) {
+        return stops.map(function(stop, index) {
+            return (index + 1) + ') ' + stop.address + ' (+' + stop.passengers + ')';
+        }).join('; ');
+    }
+
+    /**
+     * Create the Google Forms/Sheets adapter
+     * @param {object} config - {bookingsUrl, formUrl, verifyIntervalMs, verifyTimeoutMs}
+     * @returns {object} - Storage adapter
+     */
+    function createGoogleSheetsAdapter(config) {
+
+        /**
+         * Fetch bookings from Google Apps Script endpoint
+         * @returns {Promise<Array>} - Array of booking objects
+         */
+        function listBookings() {
+            return new Promise(function(resolve, reject) {
+                $.ajax({
+                    url: config.bookingsUrl,
+                    method: 'GET',
+                    dataType: 'json',
+                    cache: false,
+                    success: function(bookings) {
+                        resolve(bookings);
+                    },
+                    error: function(xhr, status, error) {
+                        reject(new Error('Error fetching bookings: ' + (error || status)));
+                    }
+                });
+            });
+        }
+
+        /**
+         * Submit booking data to Google Sheets
+         * @param {Object} submissionData - Booking data to submit
+         * @returns {Promise} - Submission promise
+         */
+        function submitToGoogleSheets(submissionData) {
+            return new Promise(function(resolve, reject) {
+                var googleFormData = new FormData();
+                googleFormData.append('entry.131833412', submissionData.name);
+                googleFormData.append('entry.776900145', submissionData.phone);
+                googleFormData.append('entry.121804187', submissionData.email);
+                googleFormData.append('entry.1592582104', submissionData.pickupDate + ' ' + submissionData.pickupTime); // Combined Pickup Date/Time
+                googleFormData.append('entry.1137073125', submissionData.pickupAddress);
+                googleFormData.append('entry.1747359283', submissionData.destinationAddress);
+                googleFormData.append('entry.240227114', submissionData.passengers);
+                googleFormData.append('entry.1761921696', submissionData.specialNotes + '\n[Ref: ' + submissionData.confirmationCode + '] [Service area: ' + submissionData.serviceArea + ']' +
+                    (submissionData.stops && submissionData.stops.length > 0 ? ' [Stops: ' + describeStops(submissionData.stops) + ']' : '') +
+                    (submissionData.departureTime ? ' [Flight departs: ' + submissionData.departureDate + ' ' + submissionData.departureTime + (submissionData.internationalFlight === 'Yes' ? ', international' : '') + ']' : '') +
+                    (submissionData.flightLandingTime ? ' [Flight lands: ' + submissionData.flightLandingDate + ' ' + submissionData.flightLandingTime + ']' : '') +
+                    (submissionData.recurrence ? ' [Repeats: ' + submissionData.recurrence + ']' : '') +
+                    (submissionData.pickupAt ? ' [Pickup at: ' + submissionData.pickupAt + ']' : '')); // Notes (tagged with confirmation code, service area, stops, flight times, recurrence and the pickup timestamp with its UTC offset)
+                googleFormData.append('entry.1268043435', submissionData.airportTrip);
+                googleFormData.append('entry.936388405', submissionData.pickupTime); // Pickup Time (separate)
+                googleFormData.append('entry.1953484756', submissionData.checkingBags); // Checking Bags
+                googleFormData.append('entry.2847103921', submissionData.roundTrip); // Round Trip Pickup
+                googleFormData.append('entry.4859203847', submissionData.returnDate + ' ' + submissionData.returnTime); // Return Flight Landing Time
+                googleFormData.append('entry.3948571029', submissionData.flightId || submissionData.flightNumber || ''); // Flight Number: departing flight on outbound rows, return flight on return rows (normalized, e.g. "B6123")
+                googleFormData.append('entry.5738291048', ''); // Return Flight Date/Landing Time (combined field)
+                googleFormData.append('entry.6829374816', submissionData.isReturnFlight); // Is Return Flight
+
+                // Special requirements checkboxes
+                if (submissionData.specialRequirements && submissionData.specialRequirements.length > 0) {
+                    submissionData.specialRequirements.forEach(function(req) {
+                        googleFormData.append('entry.1055055925', req);
+                    });
+                }
+
+                // Other requirement text (if "Other" was checked)
+                if (submissionData.otherRequirementText) {
+                    googleFormData.append('entry.1055055925.other_option_response', submissionData.otherRequirementText);
+                }
+
+                // Submit to Google Forms
+                $.ajax({
+                    url: config.formUrl,
+                    type: 'POST',
+                    data: googleFormData,
+                    processData: false,
+                    contentType: false,
+                    cache: false,
+                    success: function() {
+                        resolve();
+                    },
+                    error: function(xhr, status, error) {
+                        // Google Forms always returns an error due to CORS even though the
+                        // submission works, so only an offline browser counts as a failure
+                        if (!navigator.onLine) {
+                            reject(createRetryableError('No internet connection'));
+                        } else {
+                            resolve();
+                        }
+                    }
+                });
+            });
+        }
+
+        /**
+         * Re-poll the bookings feed until the submitted row appears
+         * @param {Object} submissionData - Booking data that was submitted
+         * @returns {Promise<object>} - {confirmed, confirmationCode}; never rejects
+         */
+        function verifyBooking(submissionData) {
+            const deadline = Date.now() + config.verifyTimeoutMs;
+
+            return new Promise(function(resolve) {
+                function finish(confirmed) {
+                    resolve({
+                        confirmed: confirmed,
+                        confirmationCode: submissionData.confirmationCode
+                    });
+                }
+
+                function scheduleNextPoll() {
+                    if (Date.now() + config.verifyIntervalMs > deadline) {
+                        finish(false);
+                    } else {
+                        setTimeout(poll, config.verifyIntervalMs);
+                    }
+                }
+
+                function poll() {
+                    listBookings().then(function(bookings) {
+                        const found = bookings.some(function(booking) {
+                            return matchesSubmission(booking, submissionData);
+                        });
+                        if (found) {
+                            finish(true);
+                        } else {
+                            scheduleNextPoll();
+                        }
+                    }, scheduleNextPoll);
+                }
+
+                scheduleNextPoll();
+            });
+        }
+
+        /**
+         * Find a customer's bookings in the feed
+         * @param {string} phone - Customer phone number
+         * @param {string} confirmationCode - Confirmation code
+         * @returns {Promise<Array>}
+         */
+        function findBookings(phone, confirmationCode) {
+            return listBookings().then(function(bookings) {
+                return findCustomerBookings(bookings, phone, confirmationCode);
+            });
+        }
+
+        /**
+         * Google Forms responses can't be removed from the page
+         * @returns {Promise} - Always rejects
+         */
+        function cancelBooking() {
+            return Promise.reject(new Error('Cancellations must be requested by phone at (980) 422-9125'));
+        }
+
+        /**
+         * Google Forms responses can't be edited from the page either
+         * @returns {Promise} - Always rejects
+         */
+        function rescheduleBooking() {
+            return Promise.reject(new Error('Time changes must be requested by phone at (980) 422-9125'));
+        }
+
+        return {
+            name: 'google-sheets',
+            listBookings: listBookings,
+            createBooking: submitToGoogleSheets,
+            verifyBooking: verifyBooking,
+            findBookings: findBookings,
+            canChangeBookings: false,
+            cancelBooking: cancelBooking,
+            rescheduleBooking: rescheduleBooking
+        };
+    }
+
+    // =================================================================
+    // REST ADAPTER
+    // =================================================================
+
+    /**
+     * Create the adapter for the bundled REST server
+     * @param {object} config - {baseUrl, adminToken}
+     * @returns {object} - Storage adapter
+     */
+    function createRestAdapter(config) {
+
+        /**
+         * Send a JSON request to the REST server
+         * @param {string} method - HTTP method
+         * @param {string} path - Path below baseUrl
+         * @param {object} body - JSON body (optional)
+         * @returns {Promise<*>} - Parsed response
+         */
+        function request(method, path, body) {
+            return new Promise(function(resolve, reject) {
+                $.ajax({
+                    url: config.baseUrl + path,
+                    method: method,
+                    dataType: 'json',
+                    contentType: 'application/json',
+                    data: body ? JSON.stringify(body) : undefined,
+                    headers: config.adminToken ? { Authorization: 'Bearer ' + config.adminToken } : {},
+                    cache: false,
+                    success: function(response) {
+                        resolve(response);
+                    },
+                    error: function(xhr, status, error) {
+                        // Status 0 means the server was never reached; 5xx may clear up on its own
+                        if (xhr.status === 0 || xhr.status >= 500) {
+                            reject(createRetryableError('Booking server unavailable: ' + (error || status)));
+                            return;
+                        }
+                        const message = xhr.responseJSON && xhr.responseJSON.error;
+                        reject(new Error(message || ('Booking server error: ' + (error || status))));
+                    }
+                });
+            });
+        }
+
+        /**
+         * List active (not cancelled) bookings
+         * Without an admin token this is the server's availability view: dates,
+         * times and the service area of each address, no customer details.
+         *
+         * @returns {Promise<Array>} - Array of booking objects
+         */
+        function listBookings() {
+            return request('GET', config.adminToken ? '/bookings' : '/availability').then(function(bookings) {
+                return bookings.filter(function(booking) {
+                    return booking.status !== 'cancelled';
+                });
+            });
+        }
+
+        return {
+            name: 'rest',
+            hasCustomerDetails: Boolean(config.adminToken),
+            listBookings: listBookings,
+            createBooking: function(submissionData) {
+                return request('POST', '/bookings', submissionData);
+            },
+            // The server echoes the stored booking, so a returned ID is the confirmation
+            verifyBooking: function(submissionData, receipt) {
+                return Promise.resolve({
+                    confirmed: Boolean(receipt && receipt.id),
+                    confirmationCode: (receipt && receipt.confirmationCode) || submissionData.confirmationCode
+                });
+            },
+            findBookings: function(phone, confirmationCode) {
+                return request('POST', '/bookings/lookup', { phone: phone, confirmationCode: confirmationCode });
+            },
+            canChangeBookings: true,
+            cancelBooking: function(bookingId, customer) {
+                return request('DELETE', '/bookings/' + encodeURIComponent(bookingId), customer);
+            },
+            rescheduleBooking: function(bookingId, changes, customer) {
+                return request('PATCH', '/bookings/' + encodeURIComponent(bookingId), Object.assign({}, changes, customer));
+            }
+        };
+    }
+
+    // =================================================================
+    // FIXTURE ADAPTER
+    // =================================================================
+
+    /**
+     * Create a read-only adapter backed by a static JSON file of bookings
+     * @param {object} config - {bookingsUrl}
+     * @returns {object} - Storage adapter
+     */
+    function createFixtureAdapter(config) {
+        function readOnly() {
+            return Promise.reject(new Error('The fixture backend is read-only'));
+        }
+
+        function listBookings() {
+            return new Promise(function(resolve, reject) {
+                $.ajax({
+                    url: config.bookingsUrl,
+                    method: 'GET',
+                    dataType: 'json',
+                    cache: false,
+                    success: function(bookings) {
+                        resolve(bookings.filter(function(booking) {
+                            return booking.status !== 'cancelled';
+                        }));
+                    },
+                    error: function(xhr, status, error) {
+                        reject(new Error('Error loading fixture bookings: ' + (error || status)));
+                    }
+                });
+            });
+        }
+
+        return {
+            name: 'fixture',
+            listBookings: listBookings,
+            createBooking: readOnly,
+            verifyBooking: readOnly,
+            findBookings: function(phone, confirmationCode) {
+                return listBookings().then(function(bookings) {
+                    return findCustomerBookings(bookings, phone, confirmationCode);
+                });
+            },
+            canChangeBookings: false,
+            cancelBooking: readOnly,
+            rescheduleBooking: readOnly
+        };
+    }
+
+    // =================================================================
+    // ADAPTER SELECTION
+    // =================================================================
+
+    const ADAPTER_FACTORIES = {
+        'google-sheets': function() {
+            return createGoogleSheetsAdapter(STORAGE_CONFIG.googleSheets);
+        },
+        'rest': function() {
+            const token = new URLSearchParams(window.location.search).get('token');
+            return createRestAdapter(Object.assign({}, STORAGE_CONFIG.rest, token ? { adminToken: token } : {}));
+        },
+        'fixture': function() {
+            return createFixtureAdapter(STORAGE_CONFIG.fixture);
+        }
+    };
+
+    let activeAdapter = null;
+
+    /**
+     * Get the adapter for this page load (?backend= overrides STORAGE_CONFIG.backend)
+     * @returns {object} - Storage adapter
+     */
+    function getAdapter() {
+        if (!activeAdapter) {
+            const requested = new URLSearchParams(window.location.search).get('backend');
+            const backend = ADAPTER_FACTORIES[requested] ? requested : STORAGE_CONFIG.backend;
+            activeAdapter = ADAPTER_FACTORIES[backend]();
+        }
+        return activeAdapter;
+    }
+
+    window.MidnightExpress = window.MidnightExpress || {};
+    window.MidnightExpress.storage = {
+        STORAGE_CONFIG: STORAGE_CONFIG,
+        parseBookingTime: parseBookingTime,
+        matchesSubmission: matchesSubmission,
+        getConfirmationCode: getConfirmationCode,
+        findCustomerBookings: findCustomerBookings,
+        describeStops: describeStops,
+        createGoogleSheetsAdapter: createGoogleSheetsAdapter,
+        createRestAdapter: createRestAdapter,
+        createFixtureAdapter: createFixtureAdapter,
+        getAdapter: getAdapter
+    };
+
+})(jQuery);
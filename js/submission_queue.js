@@ -0,0 +1,224 @@
+/**
+ * Midnight Express LKN - Submission Queue
+ *
+ * Keeps booking requests that couldn't be sent (no connection, booking
+ * service down) in localStorage and retries them with exponential backoff:
+ * - on a timer while the page is open
+ * - as soon as the browser comes back online
+ * - when the page is visited again
+ *
+ * Each queue entry holds every leg of one booking, so a round trip's
+ * outbound and return requests stay paired and are only removed together.
+ */
+
+(function(window) {
+    "use strict";
+
+    // =================================================================
+    // CONFIGURATION
+    // =================================================================
+
+    const QUEUE_CONFIG = {
+        storageKey: 'midnightExpress.submissionQueue',
+        baseRetryDelayMs: 5000,     // 5 seconds after the first failure
+        maxRetryDelayMs: 300000     // never wait more than 5 minutes
+    };
+
+    // =================================================================
+    // PERSISTENCE
+    // =================================================================
+
+    /**
+     * Read queued entries from localStorage
+     * @returns {Array} - Queue entries (empty when storage is unavailable)
+     */
+    function readQueue() {
+        try {
+            const raw = window.localStorage.getItem(QUEUE_CONFIG.storageKey);
+            return raw ? JSON.parse(raw) : [];
+        } catch (error) {
+            console.warn('Submission queue unavailable:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Save queued entries to localStorage
+     * @param {Array} entries - Queue entries
+     */
+    function writeQueue(entries) {
+        try {
+            if (entries.length > 0) {
+                window.localStorage.setItem(QUEUE_CONFIG.storageKey, JSON.stringify(entries));
+            } else {
+                window.localStorage.removeItem(QUEUE_CONFIG.storageKey);
+            }
+        } catch (error) {
+            console.warn('Could not save submission queue:', error.message);
+        }
+    }
+
+    /**
+     * Replace (or drop, when replacement is null) the entry with a given ID
+     * @param {string} id - Entry ID
+     * @param {object|null} replacement - Updated entry
+     */
+    function saveEntry(id, replacement) {
+        const entries = readQueue().filter(function(entry) {
+            return entry.id !== id;
+        });
+        if (replacement) {
+            entries.push(replacement);
+        }
+        writeQueue(entries);
+    }
+
+    // =================================================================
+    // QUEUE OPERATIONS
+    // =================================================================
+
+    /**
+     * Delay before the next attempt, doubling with each failure
+     * @param {number} attempts - Failed attempts so far
+     * @returns {number} - Milliseconds
+     */
+    function getRetryDelay(attempts) {
+        return Math.min(QUEUE_CONFIG.baseRetryDelayMs * Math.pow(2, Math.max(attempts - 1, 0)), QUEUE_CONFIG.maxRetryDelayMs);
+    }
+
+    /**
+     * Queue a booking whose legs couldn't all be sent
+     * @param {string} id - Entry ID (the booking's confirmation code)
+     * @param {Array} submissions - Every leg of the booking, outbound first
+     * @param {Array} sent - Per-leg flags for legs that already went through (optional)
+     * @returns {object} - Queue entry
+     */
+    function enqueue(id, submissions, sent) {
+        const entry = {
+            id: id,
+            submissions: submissions,
+            sent: submissions.map(function(submission, index) {
+                return Boolean(sent && sent[index]);
+            }),
+            attempts: 1,
+            queuedAt: Date.now(),
+            nextAttemptAt: Date.now() + getRetryDelay(1)
+        };
+        saveEntry(id, entry);
+        return entry;
+    }
+
+    /**
+     * Entries still waiting to be sent, oldest first
+     * @returns {Array}
+     */
+    function getPending() {
+        return readQueue().sort(function(a, b) {
+            return a.queuedAt - b.queuedAt;
+        });
+    }
+
+    /**
+     * Create the retry loop for the page
+     * @param {function} sendLeg - (submission) -> Promise; rejects with error.retryable to retry later
+     * @param {function} onChange - Called with ({type: 'sent'|'failed'|'retrying', entry, error}) after each attempt
+     * @returns {object} - {flush(force)}
+     */
+    function createProcessor(sendLeg, onChange) {
+        let flushing = false;
+        let retryTimer = null;
+
+        /**
+         * Send the legs of one entry that haven't gone through yet
+         * @param {object} entry - Queue entry
+         */
+        async function sendEntry(entry) {
+            for (let index = 0; index < entry.submissions.length; index++) {
+                if (entry.sent[index]) continue;
+
+                try {
+                    await sendLeg(entry.submissions[index]);
+                    entry.sent[index] = true;
+                    saveEntry(entry.id, entry);
+                } catch (error) {
+                    if (!error.retryable) {
+                        // The service rejected the request itself; retrying won't help
+                        saveEntry(entry.id, null);
+                        onChange({ type: 'failed', entry: entry, error: error });
+                        return;
+                    }
+                    entry.attempts += 1;
+                    entry.nextAttemptAt = Date.now() + getRetryDelay(entry.attempts);
+                    saveEntry(entry.id, entry);
+                    onChange({ type: 'retrying', entry: entry, error: error });
+                    return;
+                }
+            }
+
+            saveEntry(entry.id, null);
+            onChange({ type: 'sent', entry: entry });
+        }
+
+        /**
+         * Wake up again when the next entry is due
+         * While the browser is offline nothing is scheduled: entries aren't
+         * attempted, so their backoff never moves, and the 'online' listener
+         * flushes them instead.
+         */
+        function scheduleRetry() {
+            clearTimeout(retryTimer);
+            const entries = getPending();
+            if (entries.length === 0 || !navigator.onLine) return;
+
+            const nextAttemptAt = Math.min.apply(null, entries.map(function(entry) {
+                return entry.nextAttemptAt;
+            }));
+            retryTimer = setTimeout(function() {
+                flush(false);
+            }, Math.max(nextAttemptAt - Date.now(), 0));
+        }
+
+        /**
+         * Try every due entry (or every entry when forced)
+         * @param {boolean} force - Ignore backoff, e.g. right after coming back online
+         * @returns {Promise}
+         */
+        async function flush(force) {
+            if (flushing) return;
+            flushing = true;
+
+            try {
+                const now = Date.now();
+                const due = getPending().filter(function(entry) {
+                    return force || entry.nextAttemptAt <= now;
+                });
+
+                for (const entry of due) {
+                    if (!navigator.onLine) break;
+                    await sendEntry(entry);
+                }
+            } finally {
+                flushing = false;
+                scheduleRetry();
+            }
+        }
+
+        window.addEventListener('online', function() {
+            flush(true);
+        });
+
+        return {
+            flush: flush
+        };
+    }
+
+    window.MidnightExpress = window.MidnightExpress || {};
+    window.MidnightExpress.submissionQueue = {
+        QUEUE_CONFIG: QUEUE_CONFIG,
+        getRetryDelay: getRetryDelay,
+        enqueue: enqueue,
+        getPending: getPending,
+        createProcessor: createProcessor
+    };
+
+})(window);
@@ -0,0 +1,339 @@
+/**
+ * Midnight Express LKN - Availability Timeline
+ *
+ * Draws the 24-hour availability bar (buildTimeline(), shared by the booking
+ * form and the dispatch board) and makes it interactive on the booking form:
+ * - click or drag on a free region to pick a pickup time
+ * - hover to see the exact time under the cursor
+ * - a marker for the selected pickup time
+ * - arrow keys move between free 5 minute slots (Home/End jump to the first/last)
+ *
+ * The bar is re-rendered whenever bookings or the date change, so events are
+ * delegated from the container and refresh() redraws the marker on the new bar.
+ */
+
+(function($) {
+    "use strict";
+
+    const MINUTES_PER_DAY = 1440;
+
+    /**
+     * Format minutes since midnight as "5:35 AM"
+     * @param {number} totalMinutes - Minutes since midnight
+     * @returns {string}
+     */
+    function formatMinutes(totalMinutes) {
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return (hours % 12 || 12) + ':' + String(minutes).padStart(2, '0') + ' ' + (hours >= 12 ? 'PM' : 'AM');
+    }
+
+    /**
+     * Format a time that may fall on the day before or after, e.g. "11:30 PM (prev. day)"
+     * @param {number} totalMinutes - Minutes since midnight (negative or past 1440 for adjacent days)
+     * @returns {string}
+     */
+    function formatSpilloverTime(totalMinutes) {
+        if (totalMinutes < 0) {
+            return formatMinutes(totalMinutes + 1440) + ' (prev. day)';
+        }
+        if (totalMinutes > 1440) {
+            return formatMinutes(totalMinutes - 1440) + ' (next day)';
+        }
+        return formatMinutes(totalMinutes % 1440);
+    }
+
+    /**
+     * Build 24-hour continuous timeline visualization showing exact blocked periods
+     * Periods where every vehicle is busy are shown in red; periods where only
+     * part of the fleet is busy are shown in amber with the number of free vehicles.
+     * Busy periods that run across midnight (from rides on the previous or next
+     * day) get a dashed edge and show their times on the other day.
+     * Times outside operating hours (or a whole blacked-out day) are shaded gray.
+     *
+     * @param {Array} bookings - Bookings around the date (from scheduleBookingsForDate)
+     * @param {object} trip - Trip being booked, sizes each blocked window (optional)
+     * @param {string} dateStr - Date in YYYY-MM-DD format, for operating hours (optional)
+     * @returns {string} - HTML for timeline
+     */
+    function buildTimeline(bookings, trip, dateStr) {
+        const availability = window.MidnightExpress.availability;
+        const schedule = window.MidnightExpress.schedule;
+        const segments = availability.getOccupancySegments(bookings, trip);
+        const closedRanges = dateStr ? schedule.getClosedRanges(dateStr) : [];
+        const hasPartial = segments.some(function(segment) {
+            return !segment.full;
+        });
+        const hasSpillover = segments.some(function(segment) {
+            return segment.actualStart < 0 || segment.actualEnd > 1440;
+        });
+
+        // Build continuous timeline bar
+        let html = '<div style="position: relative; margin: 20px 0;">';
+
+        // Time labels at start and end
+        html += '<div style="display: flex; justify-content: space-between; margin-bottom: 5px; font-size: 11px; color: #666;">';
+        html += '<span>12:00 AM</span>';
+        html += '<span>12:00 PM</span>';
+        html += '<span>11:59 PM</span>';
+        html += '</div>';
+
+        // Main timeline bar (full 24 hours = 1440 minutes)
+        html += '<div class="timeline-track" style="position: relative; height: 40px; background: #27AE60; border-radius: 4px; overflow: visible;">';
+
+        // Overlay busy periods
+        segments.forEach(function(segment) {
+            var startPercent = (segment.start / 1440) * 100;
+            var widthPercent = ((segment.end - segment.start) / 1440) * 100;
+
+            var startTime = formatSpilloverTime(segment.actualStart);
+            var endTime = formatSpilloverTime(segment.actualEnd);
+            var background = segment.full ? '#d9534f' : '#f0ad4e';
+            var title = startTime + ' - ' + endTime + ': ' + availability.describeFreeVehicles(segment.busy);
+            var spillover = (segment.actualStart < 0 ? ' border-left: 3px dashed white;' : '') +
+                            (segment.actualEnd > 1440 ? ' border-right: 3px dashed white;' : '');
+
+            // Busy period bar with times (fully booked) or free vehicle count (partially booked) inside
+            html += '<div title="' + title + '" style="position: absolute; left: ' + startPercent + '%; width: ' + widthPercent + '%; height: 100%; background: ' + background + ';' + spillover + ' box-sizing: border-box; border-radius: 2px; display: flex; flex-direction: column; align-items: center; justify-content: center; color: white; font-size: 11px; font-weight: bold; line-height: 1.2; overflow: hidden; text-align: center;">';
+            if (segment.full) {
+                html += '<span>' + startTime + '</span>';
+                html += '<span style="line-height: 0.2;">-</span>';
+                html += '<span>' + endTime + '</span>';
+            } else {
+                html += '<span>' + availability.describeFreeVehicles(segment.busy) + '</span>';
+            }
+            html += '</div>';
+        });
+
+        // Shade closed hours on top of everything else
+        closedRanges.forEach(function(range) {
+            var startPercent = (range.start / 1440) * 100;
+            var widthPercent = ((range.end - range.start) / 1440) * 100;
+            var title = 'Closed ' + formatMinutes(range.start) + ' - ' + formatMinutes(range.end % 1440);
+
+            html += '<div title="' + title + '" style="position: absolute; left: ' + startPercent + '%; width: ' + widthPercent + '%; height: 100%; background: #999; border-radius: 2px; display: flex; align-items: center; justify-content: center; color: white; font-size: 11px; font-weight: bold; overflow: hidden;">';
+            html += '<span>Closed</span>';
+            html += '</div>';
+        });
+
+        html += '</div>';
+
+        html += '</div>';
+
+        // Legend
+        html += '<div style="display: flex; gap: 20px; margin-top: 10px; font-size: 12px; justify-content: center;">';
+        html += '<div><span style="display: inline-block; width: 15px; height: 15px; background: #27AE60; border-radius: 2px; vertical-align: middle; margin-right: 5px;"></span>Available</div>';
+        if (hasPartial) {
+            html += '<div><span style="display: inline-block; width: 15px; height: 15px; background: #f0ad4e; border-radius: 2px; vertical-align: middle; margin-right: 5px;"></span>Limited availability</div>';
+        }
+        html += '<div><span style="display: inline-block; width: 15px; height: 15px; background: #d9534f; border-radius: 2px; vertical-align: middle; margin-right: 5px;"></span>Unavailable</div>';
+        if (hasSpillover) {
+            html += '<div><span style="display: inline-block; width: 15px; height: 15px; background: #d9534f; border-left: 3px dashed white; box-sizing: border-box; border-radius: 2px; vertical-align: middle; margin-right: 5px;"></span>Ride from the day before/after</div>';
+        }
+        if (closedRanges.length > 0) {
+            html += '<div><span style="display: inline-block; width: 15px; height: 15px; background: #999; border-radius: 2px; vertical-align: middle; margin-right: 5px;"></span>Closed</div>';
+        }
+        html += '</div>';
+
+        return html;
+    }
+
+    /**
+     * Attach timeline interactions to a container
+     * @param {jQuery} $container - Element the timeline HTML is rendered into
+     * @param {object} options - {isBookable(minutes) -> boolean, onSelect(minutes), stepMinutes}
+     * @returns {object} - {render(html, selectedMinutes), refresh(selectedMinutes), getSelected()}
+     */
+    function createTimeline($container, options) {
+        const step = options.stepMinutes || 5;
+        let selectedMinutes = null;
+        let dragging = false;
+        let bookable = {};
+
+        /**
+         * Whether a pickup time can be booked, asked once per minute for each render
+         * (hovering and dragging check on every pointer move)
+         */
+        function isBookable(minutes) {
+            if (!(minutes in bookable)) {
+                bookable[minutes] = options.isBookable(minutes);
+            }
+            return bookable[minutes];
+        }
+
+        /**
+         * Minutes under a pointer position, snapped to the step
+         */
+        function minutesAt($track, pageX) {
+            const ratio = (pageX - $track.offset().left) / $track.outerWidth();
+            const minutes = Math.round(Math.min(Math.max(ratio, 0), 1) * MINUTES_PER_DAY / step) * step;
+            return Math.min(minutes, MINUTES_PER_DAY - step);
+        }
+
+        /**
+         * Horizontal pointer position for mouse and touch events
+         */
+        function getPageX(e) {
+            const touches = e.originalEvent && e.originalEvent.touches;
+            return touches && touches.length > 0 ? touches[0].pageX : e.pageX;
+        }
+
+        /**
+         * Move the marker without notifying (used while dragging and on refresh)
+         */
+        function drawMarker(minutes) {
+            const $track = $container.find('.timeline-track');
+            $track.find('.timeline-marker').remove();
+            if (minutes === null) {
+                $track.attr('aria-valuetext', 'No pickup time selected');
+                return;
+            }
+
+            $track.append(
+                '<div class="timeline-marker" title="Pickup at ' + formatMinutes(minutes) + '" style="left: ' + (minutes / MINUTES_PER_DAY) * 100 + '%;"></div>'
+            );
+            $track.attr({ 'aria-valuenow': minutes, 'aria-valuetext': 'Pickup at ' + formatMinutes(minutes) });
+        }
+
+        /**
+         * Select a time and pass it to the form
+         */
+        function select(minutes) {
+            selectedMinutes = minutes;
+            drawMarker(minutes);
+            options.onSelect(minutes);
+        }
+
+        /**
+         * Nearest bookable slot from a time in one direction
+         * @param {number} from - Starting minutes
+         * @param {number} direction - 1 for later, -1 for earlier
+         * @returns {number|null}
+         */
+        function findFreeSlot(from, direction) {
+            for (let minutes = from; minutes >= 0 && minutes < MINUTES_PER_DAY; minutes += direction * step) {
+                if (isBookable(minutes)) {
+                    return minutes;
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Show the time under the cursor, flagged when it can't be booked
+         */
+        function showHover($track, minutes) {
+            let $hover = $track.find('.timeline-hover');
+            if ($hover.length === 0) {
+                $hover = $('<div class="timeline-hover"></div>').appendTo($track);
+            }
+            const available = isBookable(minutes);
+            $hover.css('left', (minutes / MINUTES_PER_DAY) * 100 + '%')
+                .text(formatMinutes(minutes) + (available ? '' : ' - unavailable'))
+                .toggleClass('timeline-hover-unavailable', !available)
+                .show();
+        }
+
+        // Hover shows the time under the cursor; dragging moves the marker over free slots
+        $container.on('mousemove touchmove', '.timeline-track', function(e) {
+            const $track = $(this);
+            const minutes = minutesAt($track, getPageX(e));
+            showHover($track, minutes);
+
+            if (dragging && isBookable(minutes)) {
+                selectedMinutes = minutes;
+                drawMarker(minutes);
+                e.preventDefault();
+            }
+        });
+
+        $container.on('mouseleave', '.timeline-track', function() {
+            $(this).find('.timeline-hover').hide();
+        });
+
+        $container.on('mousedown touchstart', '.timeline-track', function(e) {
+            const minutes = minutesAt($(this), getPageX(e));
+            if (isBookable(minutes)) {
+                dragging = true;
+                selectedMinutes = minutes;
+                drawMarker(minutes);
+                e.preventDefault();
+            }
+            $(this).trigger('focus');
+        });
+
+        // Finish a drag wherever the pointer is released
+        $(document).on('mouseup touchend', function() {
+            if (dragging) {
+                dragging = false;
+                select(selectedMinutes);
+            }
+        });
+
+        $container.on('keydown', '.timeline-track', function(e) {
+            let minutes = null;
+
+            if (e.key === 'ArrowRight' || e.key === 'ArrowUp') {
+                minutes = findFreeSlot(selectedMinutes === null ? 0 : selectedMinutes + step, 1);
+            } else if (e.key === 'ArrowLeft' || e.key === 'ArrowDown') {
+                minutes = findFreeSlot(selectedMinutes === null ? MINUTES_PER_DAY - step : selectedMinutes - step, -1);
+            } else if (e.key === 'Home') {
+                minutes = findFreeSlot(0, 1);
+            } else if (e.key === 'End') {
+                minutes = findFreeSlot(MINUTES_PER_DAY - step, -1);
+            } else {
+                return;
+            }
+
+            e.preventDefault();
+            if (minutes !== null) {
+                select(minutes);
+            }
+        });
+
+        return {
+            /**
+             * Replace the timeline HTML, keeping keyboard focus on the bar if it had it
+             * @param {string} html - Timeline HTML from buildTimeline()
+             * @param {number|null} minutes - Selected pickup (minutes since midnight), or null
+             */
+            render: function(html, minutes) {
+                const hadFocus = $container.find('.timeline-track').is(':focus');
+                $container.html(html);
+                this.refresh(minutes);
+                if (hadFocus) {
+                    $container.find('.timeline-track').trigger('focus');
+                }
+            },
+
+            /**
+             * Make a freshly rendered bar interactive and show the selected time
+             * Bookable times are worked out again, as the bookings or trip may have changed
+             * @param {number|null} minutes - Selected pickup (minutes since midnight), or null
+             */
+            refresh: function(minutes) {
+                selectedMinutes = minutes;
+                bookable = {};
+                $container.find('.timeline-track').attr({
+                    tabindex: 0,
+                    role: 'slider',
+                    'aria-label': 'Pickup time',
+                    'aria-valuemin': 0,
+                    'aria-valuemax': MINUTES_PER_DAY - step
+                }).addClass('timeline-interactive');
+                drawMarker(minutes);
+            },
+
+            getSelected: function() {
+                return selectedMinutes;
+            }
+        };
+    }
+
+    window.MidnightExpress = window.MidnightExpress || {};
+    window.MidnightExpress.timeline = {
+        buildTimeline: buildTimeline,
+        createTimeline: createTimeline
+    };
+
+})(jQuery);
@@ -0,0 +1,532 @@
+#!/usr/bin/env node
+
+// Self-hostable booking server: a JSON-file REST backend for the booking form
+// plus a static file server for the site, so the whole flow runs offline.
+//
+//   npm run serve               -> http://localhost:8080/?backend=rest
+//
+// Endpoints:
+//   GET    /api/availability    Active bookings reduced to what the availability checks need
+//   GET    /api/bookings        List bookings (admin)
+//   POST   /api/bookings        Create a booking (JSON body from the booking form)
+//   POST   /api/bookings/lookup A customer's active rides ({phone, confirmationCode})
+//   PATCH  /api/bookings/:id    Change a booking's pickup date/time ({pickupDate, pickupTime, phone, confirmationCode})
+//   DELETE /api/bookings/:id    Cancel a booking, kept with status "cancelled" ({phone, confirmationCode})
+//   GET    /api/bookings.csv    Export bookings as CSV (admin)
+//   GET    /api/bookings.ics    Calendar feed, one event per ride (admin; subscribe from a phone)
+//
+// Admin endpoints return customer details, so they need ADMIN_TOKEN, sent as
+// "Authorization: Bearer <token>" or ?token=<token> (calendar apps can only
+// subscribe to a URL), and are same-origin only. Without ADMIN_TOKEN a random
+// token is generated and printed at startup. Customers change or cancel a ride
+// with the phone number and confirmation code it was booked under; the admin
+// token works too.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const vm = require('vm');
+
+const PORT = Number(process.env.PORT) || 8080;
+const SITE_ROOT = path.resolve(__dirname, '..');
+const BOOKINGS_FILE = process.env.BOOKINGS_FILE || path.join(__dirname, 'data', 'bookings.json');
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || crypto.randomBytes(16).toString('hex');
+
+// Only the site itself is served: these top-level files and directories, never dotfiles
+const STATIC_FILES = ['index.html', 'admin.html', '404.html', 'robots.txt', 'sitemap.xml'];
+const STATIC_DIRS = ['assets', 'css', 'fixtures', 'font-awesome', 'fonts', 'js'];
+
+const REQUIRED_FIELDS = ['name', 'phone', 'pickupDate', 'pickupTime', 'pickupAddress', 'destinationAddress'];
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.svg': 'image/svg+xml',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8'
+};
+
+// Booking file storage
+
+function readBookings() {
+  if (!fs.existsSync(BOOKINGS_FILE)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(BOOKINGS_FILE, 'utf8'));
+}
+
+function writeBookings(bookings) {
+  fs.mkdirSync(path.dirname(BOOKINGS_FILE), { recursive: true });
+  fs.writeFileSync(BOOKINGS_FILE, JSON.stringify(bookings, null, 2));
+}
+
+// The site's own modules, for exports (js/booking_export.js, as on the dispatch
+// board) and the availability view (js/drive_times.js zones). They are browser
+// scripts, so they run in a sandbox with a window object; storage.js only needs
+// jQuery for requests, which aren't made here.
+
+const SITE_MODULES = ['quote', 'service_areas', 'drive_times', 'datetime', 'recurrence', 'schedule', 'availability', 'storage', 'booking_export'];
+
+let siteModules = null;
+
+function getSiteModules() {
+  if (!siteModules) {
+    const sandbox = vm.createContext({
+      window: { MidnightExpress: {}, location: { search: '' } },
+      jQuery: function() {},
+      URLSearchParams,
+      console
+    });
+    SITE_MODULES.forEach(name => {
+      const file = path.join(SITE_ROOT, 'js', name + '.js');
+      vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    });
+    siteModules = sandbox.window.MidnightExpress;
+  }
+  return siteModules;
+}
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', filename: 'bookings.csv', build: bookings => getSiteModules().bookingExport.toCsv(bookings) },
+  ics: { contentType: 'text/calendar; charset=utf-8', filename: 'bookings.ics', build: bookings => getSiteModules().bookingExport.toICalendar(bookings) }
+};
+
+// Booking checks: the same lookup, notice, operating hours and conflict rules
+// as the booking form and the manage booking view (js/manage_booking.js), so a
+// request sent straight to the API can't skip them.
+
+function findCustomerRides(bookings, customer) {
+  const active = bookings.filter(b => b.status !== 'cancelled');
+  return getSiteModules().storage.findCustomerBookings(active, customer.phone, customer.confirmationCode);
+}
+
+function ownsBooking(booking, customer) {
+  return Boolean(customer.phone && customer.confirmationCode) &&
+    getSiteModules().storage.findCustomerBookings([booking], customer.phone, customer.confirmationCode).length === 1;
+}
+
+function checkPickupFields(fields) {
+  if (!DATE_PATTERN.test(fields.pickupDate) || !TIME_PATTERN.test(fields.pickupTime)) {
+    return 'pickupDate must be YYYY-MM-DD and pickupTime HH:MM';
+  }
+  return null;
+}
+
+function validatePickup(bookings, booking, dateStr, timeStr) {
+  const site = getSiteModules();
+  const others = bookings.filter(b => b.status !== 'cancelled' && b !== booking && !(booking.id && b.id === booking.id));
+  return site.availability.validateBookingTime(
+    dateStr,
+    timeStr,
+    site.availability.scheduleBookingsForDate(others, dateStr),
+    {
+      pickup: booking.pickupAddress,
+      destination: booking.destinationAddress,
+      stops: (booking.stops || []).map(stop => stop.address)
+    }
+  );
+}
+
+function validateTimeChange(bookings, booking, dateStr, timeStr) {
+  const site = getSiteModules();
+  const active = bookings.filter(b => b.status !== 'cancelled');
+
+  // Keep a round trip's outbound leg before its return leg
+  const code = site.storage.getConfirmationCode(booking);
+  const otherLeg = active.find(b => b !== booking && b.isReturnFlight !== booking.isReturnFlight &&
+    code && site.storage.getConfirmationCode(b) === code);
+  if (otherLeg) {
+    const newPickup = dateStr + 'T' + timeStr;
+    const otherPickup = otherLeg.date + 'T' + String(otherLeg.time).slice(0, 5);
+    if (booking.isReturnFlight === 'Yes' ? newPickup <= otherPickup : newPickup >= otherPickup) {
+      return {
+        valid: false,
+        error: booking.isReturnFlight === 'Yes'
+          ? 'Your return pickup must be after your outbound ride'
+          : 'Your outbound ride must be before your return pickup'
+      };
+    }
+  }
+
+  return validatePickup(bookings, booking, dateStr, timeStr);
+}
+
+// Availability view: just enough for the booking form's conflict checks and
+// timeline. Addresses become the service area or airport they're in, which
+// resolves to the same drive time zone; anything that can't be placed is left
+// blank, like an unrecognized address.
+
+function describePlace(address) {
+  const site = getSiteModules();
+  const zone = site.driveTimes.resolveZone(address);
+  const result = site.serviceAreas.checkAddress(address || '');
+  return zone && result.inArea && site.driveTimes.resolveZone(result.area) === zone ? result.area : '';
+}
+
+function toAvailabilityView(booking) {
+  return {
+    id: booking.id,
+    date: booking.date,
+    time: booking.time,
+    isReturnFlight: booking.isReturnFlight,
+    pickupAddress: describePlace(booking.pickupAddress),
+    destinationAddress: describePlace(booking.destinationAddress),
+    stops: (booking.stops || []).map(stop => ({ address: describePlace(stop.address) }))
+  };
+}
+
+// HTTP helpers
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function sendJson(res, statusCode, body, headers = CORS_HEADERS) {
+  res.writeHead(statusCode, Object.assign({ 'Content-Type': MIME_TYPES['.json'] }, headers));
+  res.end(JSON.stringify(body));
+}
+
+function isAdmin(req, url) {
+  const header = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  const token = header ? header[1] : url.searchParams.get('token');
+  if (!token) {
+    return false;
+  }
+
+  // Compare digests so the check takes the same time whatever the token
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(ADMIN_TOKEN));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(new Error('Request body must be valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// API routes
+
+async function handleApi(req, res, url) {
+  const pathname = url.pathname;
+  const match = pathname.match(/^\/api\/bookings(?:\/([^/]+))?\/?$/);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  if (pathname === '/api/availability' && req.method === 'GET') {
+    sendJson(res, 200, readBookings().filter(b => b.status !== 'cancelled').map(toAvailabilityView));
+    return;
+  }
+
+  const exportMatch = pathname.match(/^\/api\/bookings\.(csv|ics)$/);
+  if (exportMatch && req.method === 'GET') {
+    if (!isAdmin(req, url)) {
+      sendJson(res, 401, { error: 'Admin token required' }, {});
+      return;
+    }
+
+    // Build the file before sending headers, so a failure can still answer 500
+    const format = EXPORT_FORMATS[exportMatch[1]];
+    const body = format.build(readBookings());
+    res.writeHead(200, {
+      'Content-Type': format.contentType,
+      'Content-Disposition': 'inline; filename="' + format.filename + '"'
+    });
+    res.end(body);
+    return;
+  }
+
+  if (pathname === '/api/bookings/lookup' && req.method === 'POST') {
+    let customer;
+    try {
+      customer = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+      return;
+    }
+
+    if (!customer.phone || !customer.confirmationCode) {
+      sendJson(res, 400, { error: 'Missing required fields: phone, confirmationCode' });
+      return;
+    }
+
+    sendJson(res, 200, findCustomerRides(readBookings(), customer));
+    return;
+  }
+
+  if (!match) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  let bookingId = null;
+  try {
+    bookingId = match[1] ? decodeURIComponent(match[1]) : null;
+  } catch (error) {
+    sendJson(res, 400, { error: 'Malformed booking ID' });
+    return;
+  }
+
+  if (req.method === 'GET' && !bookingId) {
+    if (!isAdmin(req, url)) {
+      sendJson(res, 401, { error: 'Admin token required' }, {});
+      return;
+    }
+    sendJson(res, 200, readBookings(), {});
+    return;
+  }
+
+  if (req.method === 'POST' && !bookingId) {
+    let submission;
+    try {
+      submission = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+      return;
+    }
+
+    const missing = REQUIRED_FIELDS.filter(field => typeof submission[field] !== 'string' || !submission[field]);
+    if (missing.length > 0) {
+      sendJson(res, 400, { error: 'Missing required fields: ' + missing.join(', ') });
+      return;
+    }
+    if (submission.stops !== undefined &&
+        !(Array.isArray(submission.stops) && submission.stops.every(stop => stop && typeof stop.address === 'string'))) {
+      sendJson(res, 400, { error: 'stops must be a list of {address, passengers}' });
+      return;
+    }
+    const fieldError = checkPickupFields(submission);
+    if (fieldError) {
+      sendJson(res, 400, { error: fieldError });
+      return;
+    }
+
+    const bookings = readBookings();
+    const validation = validatePickup(bookings, submission, submission.pickupDate, submission.pickupTime.slice(0, 5));
+    if (!validation.valid) {
+      sendJson(res, 409, { error: validation.error });
+      return;
+    }
+
+    const booking = Object.assign({}, submission, {
+      id: crypto.randomBytes(4).toString('hex').toUpperCase(),
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      // Same fields the Apps Script feed returns for the availability timeline
+      date: submission.pickupDate,
+      time: submission.pickupTime
+    });
+
+    bookings.push(booking);
+    writeBookings(bookings);
+
+    sendJson(res, 201, booking);
+    return;
+  }
+
+  if (req.method === 'PATCH' && bookingId) {
+    let changes;
+    try {
+      changes = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+      return;
+    }
+
+    if (!changes.pickupDate || !changes.pickupTime) {
+      sendJson(res, 400, { error: 'Missing required fields: pickupDate, pickupTime' });
+      return;
+    }
+    const fieldError = checkPickupFields(changes);
+    if (fieldError) {
+      sendJson(res, 400, { error: fieldError });
+      return;
+    }
+
+    const bookings = readBookings();
+    const booking = bookings.find(b => b.id === bookingId);
+    if (!booking) {
+      sendJson(res, 404, { error: 'Booking ' + bookingId + ' not found' });
+      return;
+    }
+    if (!isAdmin(req, url) && !ownsBooking(booking, changes)) {
+      sendJson(res, 403, { error: 'Phone number and confirmation number don\'t match this booking' });
+      return;
+    }
+    if (booking.status === 'cancelled') {
+      sendJson(res, 409, { error: 'Booking ' + bookingId + ' has been cancelled' });
+      return;
+    }
+
+    const pickupTime = changes.pickupTime.slice(0, 5);
+    const validation = validateTimeChange(bookings, booking, changes.pickupDate, pickupTime);
+    if (!validation.valid) {
+      sendJson(res, 409, { error: validation.error });
+      return;
+    }
+
+    Object.assign(booking, {
+      pickupDate: changes.pickupDate,
+      pickupTime: pickupTime + ':00',
+      pickupAt: getSiteModules().datetime.toISOWithOffset(changes.pickupDate, pickupTime),
+      date: changes.pickupDate,
+      time: pickupTime + ':00',
+      updatedAt: new Date().toISOString()
+    });
+    writeBookings(bookings);
+
+    sendJson(res, 200, booking);
+    return;
+  }
+
+  if (req.method === 'DELETE' && bookingId) {
+    let customer;
+    try {
+      customer = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+      return;
+    }
+
+    const bookings = readBookings();
+    const booking = bookings.find(b => b.id === bookingId);
+    if (!booking) {
+      sendJson(res, 404, { error: 'Booking ' + bookingId + ' not found' });
+      return;
+    }
+    if (!isAdmin(req, url) && !ownsBooking(booking, customer)) {
+      sendJson(res, 403, { error: 'Phone number and confirmation number don\'t match this booking' });
+      return;
+    }
+
+    booking.status = 'cancelled';
+    booking.cancelledAt = new Date().toISOString();
+    writeBookings(bookings);
+
+    sendJson(res, 200, booking);
+    return;
+  }
+
+  sendJson(res, 405, { error: 'Method not allowed' });
+}
+
+// Static site
+
+function sendNotFound(res) {
+  res.writeHead(404, { 'Content-Type': MIME_TYPES['.html'] });
+  fs.createReadStream(path.join(SITE_ROOT, '404.html')).pipe(res);
+}
+
+function sendBadRequest(res) {
+  res.writeHead(400, { 'Content-Type': MIME_TYPES['.txt'] });
+  res.end('Bad request');
+}
+
+function isSiteFile(relativePath) {
+  const segments = relativePath.split('/');
+  if (relativePath.indexOf('\0') !== -1 || segments.some(segment => segment === '' || segment.startsWith('.'))) {
+    return false;
+  }
+  return segments.length === 1 ? STATIC_FILES.includes(relativePath) : STATIC_DIRS.includes(segments[0]);
+}
+
+function serveStatic(res, pathname) {
+  let relativePath;
+  try {
+    relativePath = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+  } catch (error) {
+    sendBadRequest(res);
+    return;
+  }
+
+  // Never serve the repository itself (.git, node_modules, package.json, server/ and its booking data)
+  const filePath = path.resolve(SITE_ROOT, relativePath);
+  if (!isSiteFile(relativePath) || !filePath.startsWith(SITE_ROOT + path.sep)) {
+    sendNotFound(res);
+    return;
+  }
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      sendNotFound(res);
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+    res.end(content);
+  });
+}
+
+// Parse the request target, or null when it isn't a plain origin-relative path.
+// "//host/path" would be read as a host, and "/%zz" can't be decoded.
+function parseRequestUrl(target) {
+  if (!target || target[0] !== '/' || target.startsWith('//')) {
+    return null;
+  }
+  try {
+    const url = new URL(target, 'http://localhost');
+    decodeURIComponent(url.pathname);
+    return url;
+  } catch (error) {
+    return null;
+  }
+}
+
+const server = http.createServer((req, res) => {
+  const url = parseRequestUrl(req.url);
+  if (!url) {
+    sendBadRequest(res);
+    return;
+  }
+  const pathname = url.pathname;
+
+  if (pathname.startsWith('/api/')) {
+    handleApi(req, res, url).catch(error => {
+      console.error(error);
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      sendJson(res, 500, { error: 'Internal server error' });
+    });
+    return;
+  }
+
+  serveStatic(res, pathname);
+});
+
+server.listen(PORT, () => {
+  console.log(`Booking server running at http://localhost:${PORT}/?backend=rest`);
+  console.log(`Bookings stored in ${BOOKINGS_FILE}`);
+  if (!process.env.ADMIN_TOKEN) {
+    console.log(`Admin token for this run (set ADMIN_TOKEN to keep one): ${ADMIN_TOKEN}`);
+  }
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { availability } = require('./site');
+
+const TRIP = { pickup: 'Mooresville', destination: 'Cornelius', stops: [] };
+
+function ride(date, time) {
+  return { date: date, time: time, pickupAddress: TRIP.pickup, destinationAddress: TRIP.destination };
+}
+
+// Pickup times a booking at `pickup` blocks for another ride on TRIP
+function blockedBy(pickup) {
+  const duration = availability.getRideDuration(TRIP);
+  return { start: pickup - duration.leadMinutes - duration.tailMinutes, end: pickup + duration.tailMinutes + duration.leadMinutes };
+}
+
+// Run a test with extra vans in the fleet
+function withVans(count, run) {
+  const vehicles = availability.FLEET.vehicles;
+  for (let i = 0; i < count; i++) {
+    vehicles.push({ id: 'test-van-' + i, name: 'Test van', capacity: 6 });
+  }
+  try {
+    run();
+  } finally {
+    vehicles.splice(vehicles.length - count, count);
+  }
+}
+
+test('places bookings from the days either side relative to the date', () => {
+  const bookings = availability.scheduleBookingsForDate([
+    ride('2026-10-31', '23:30'),
+    ride('2026-11-01', '12:00'),
+    ride('2026-11-02', '00:15'),
+    ride('2026-11-05', '12:00')
+  ], '2026-11-01');
+
+  assert.deepEqual(bookings.map(booking => booking.dayOffset), [-1, 0, 1]);
+});
+
+test('blocks the time around a single booking', () => {
+  const bookings = availability.scheduleBookingsForDate([ride('2026-11-01', '12:00')], '2026-11-01');
+  const blocked = blockedBy(12 * 60);
+
+  assert.deepEqual(availability.getOccupancySegments(bookings, TRIP), [
+    { start: blocked.start, end: blocked.end, actualStart: blocked.start, actualEnd: blocked.end, busy: 1, full: true }
+  ]);
+});
+
+test('clips a ride from the evening before to the start of the day', () => {
+  const bookings = availability.scheduleBookingsForDate([ride('2026-10-31', '23:30')], '2026-11-01');
+  const blocked = blockedBy(23 * 60 + 30 - 1440);
+  const segments = availability.getOccupancySegments(bookings, TRIP);
+
+  assert.equal(segments.length, 1);
+  assert.equal(segments[0].start, 0);
+  assert.equal(segments[0].end, blocked.end);
+  assert.equal(segments[0].actualStart, blocked.start);
+});
+
+test('clips a ride just after midnight to the end of the day', () => {
+  const bookings = availability.scheduleBookingsForDate([ride('2026-11-02', '00:15')], '2026-11-01');
+  const segments = availability.getOccupancySegments(bookings, TRIP);
+
+  assert.equal(segments.length, 1);
+  assert.equal(segments[0].start, blockedBy(1440 + 15).start);
+  assert.equal(segments[0].end, 1440);
+  assert.equal(segments[0].actualEnd, blockedBy(1440 + 15).end);
+});
+
+test('counts vans busy at the same time, not bookings in the window', () => {
+  const duration = availability.getRideDuration(TRIP);
+  const rideMinutes = duration.leadMinutes + duration.tailMinutes;
+  // Two rides one after the other; a ride between them overlaps both
+  const first = 8 * 60;
+  const second = first + rideMinutes + 30;
+  const between = first + rideMinutes - 15;
+  const bookings = availability.scheduleBookingsForDate([
+    ride('2026-11-01', availability.formatClock(first)),
+    ride('2026-11-01', availability.formatClock(second))
+  ], '2026-11-01');
+
+  assert.equal(availability.countBusyVehicles(between, bookings, TRIP), 1);
+  assert.equal(availability.hasTimeConflict('2026-11-01', availability.formatClock(between), bookings, TRIP), true);
+
+  withVans(1, () => {
+    assert.equal(availability.hasTimeConflict('2026-11-01', availability.formatClock(between), bookings, TRIP), false);
+    assert.equal(availability.getOccupancySegments(bookings, TRIP).every(segment => !segment.full), true);
+  });
+});
+
+test('fills every van when rides overlap', () => {
+  const bookings = availability.scheduleBookingsForDate([ride('2026-11-01', '08:00'), ride('2026-11-01', '08:30')], '2026-11-01');
+
+  withVans(1, () => {
+    assert.equal(availability.countBusyVehicles(8 * 60 + 15, bookings, TRIP), 2);
+    assert.equal(availability.hasTimeConflict('2026-11-01', '08:15', bookings, TRIP), true);
+    assert.equal(availability.getOccupancySegments(bookings, TRIP).filter(segment => segment.full).length, 1);
+  });
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bookingExport } = require('./site');
+
+const BOOKING = {
+  id: 'T1',
+  name: 'Dana "DJ" Whitfield',
+  phone: '704-555-0100',
+  pickupDate: '2026-11-02',
+  pickupTime: '05:30:00',
+  pickupAddress: '12 Lake Rd, Cornelius, NC',
+  destinationAddress: 'CLT Airport',
+  passengers: '2',
+  specialNotes: '=HYPERLINK("x")',
+  specialRequirements: ['Carseat', '__other_option__'],
+  otherRequirementText: 'help with bags; big ones'
+};
+
+function csvRows(bookings) {
+  return bookingExport.toCsv(bookings).split('\r\n').filter(Boolean);
+}
+
+test('quotes CSV cells and defuses formulas', () => {
+  const row = csvRows([BOOKING])[1];
+
+  assert.ok(row.includes('"Dana ""DJ"" Whitfield"'));
+  assert.ok(row.includes('"\'=HYPERLINK(""x"")"'));
+  assert.ok(row.includes('"12 Lake Rd, Cornelius, NC"'));
+  assert.ok(row.includes('Car seat; Other: help with bags; big ones'));
+});
+
+test('sorts by pickup and puts unreadable pickups last, flagged', () => {
+  const rows = csvRows([
+    Object.assign({}, BOOKING, { id: 'late', name: 'Late', pickupTime: '18:00' }),
+    Object.assign({}, BOOKING, { id: 'bad', name: 'Bad', pickupTime: 'sometime' }),
+    Object.assign({}, BOOKING, { id: 'early', name: 'Early', pickupTime: '04:00' })
+  ]);
+
+  assert.deepEqual(rows.slice(1).map(row => row.split(',')[1]), ['Early', 'Late', 'Bad']);
+  assert.ok(rows[3].endsWith('check pickup date/time'));
+});
+
+test('escapes iCalendar text', () => {
+  assert.equal(bookingExport.escapeText('a;b,c\\d\ne'), 'a\\;b\\,c\\\\d\\ne');
+});
+
+test('builds one event per readable ride across the ride window', () => {
+  const ics = bookingExport.toICalendar([BOOKING, Object.assign({}, BOOKING, { id: 'bad', pickupDate: 'soon' })], new Date('2026-10-19T12:00:00Z'));
+  const rideWindow = bookingExport.getRideWindow(BOOKING);
+
+  assert.equal(ics.split('BEGIN:VEVENT').length - 1, 1);
+  assert.ok(ics.includes('DTSTART:' + bookingExport.formatUtc(rideWindow.start)));
+  assert.ok(ics.includes('DTEND:' + bookingExport.formatUtc(rideWindow.end)));
+  assert.equal(rideWindow.pickup.toISOString(), '2026-11-02T10:30:00.000Z');
+  assert.ok(ics.includes('LOCATION:12 Lake Rd\\, Cornelius\\, NC'));
+  assert.ok(ics.split('\r\n').every(line => line.length <= 75));
+});
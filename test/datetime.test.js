@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { datetime } = require('./site');
+
+test('reads pickup times as New York wall time', () => {
+  assert.equal(datetime.toInstant('2026-07-04', '05:30').toISOString(), '2026-07-04T09:30:00.000Z');
+  assert.equal(datetime.toInstant('2026-12-24', '05:30:00').toISOString(), '2026-12-24T10:30:00.000Z');
+});
+
+test('moves a time skipped by spring forward an hour later', () => {
+  assert.equal(datetime.toInstant('2026-03-08', '02:30').toISOString(), '2026-03-08T07:30:00.000Z');
+});
+
+test('reads a time repeated by fall back as the daylight one', () => {
+  assert.equal(datetime.toInstant('2026-11-01', '01:30').toISOString(), '2026-11-01T05:30:00.000Z');
+});
+
+test('writes timestamps with the offset of their date', () => {
+  assert.equal(datetime.toISOWithOffset('2026-10-31', '05:30'), '2026-10-31T05:30:00-04:00');
+  assert.equal(datetime.toISOWithOffset('2026-11-02', '05:30'), '2026-11-02T05:30:00-05:00');
+});
+
+test('parses wall times, Sheets time cells and ISO timestamps', () => {
+  assert.deepEqual(datetime.parseTime('7:05'), { hours: 7, minutes: 5 });
+  assert.deepEqual(datetime.parseTime('1899-12-30T15:17:11.000Z'), { hours: 15, minutes: 17 });
+  assert.deepEqual(datetime.parseTime('2026-11-02T10:30:00.000Z'), { hours: 5, minutes: 30 });
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { quote } = require('./site');
+
+test('matches airports by keyword, not inside other words', () => {
+  assert.equal(quote.matchAirport('CLT Airport').id, 'clt');
+  assert.equal(quote.matchAirport('Concord Regional Airport').id, 'concord');
+  assert.equal(quote.matchAirport('Lake Norman Airpark').id, 'private');
+  assert.equal(quote.matchAirport('123 Clthorpe Rd'), null);
+  assert.equal(quote.matchAirport(''), null);
+});
+
+test('quotes the flat rate plus extra passengers', () => {
+  const result = quote.calculateQuote({ airportTrip: 'Yes', pickup: 'Mooresville', destination: 'CLT', passengers: '4' });
+
+  assert.equal(result.available, true);
+  assert.equal(result.total, 85 + 2 * quote.QUOTE_RATES.extraPassengerFee);
+  assert.equal(result.lineItems.length, 2);
+});
+
+test('charges the return leg at the outbound rate', () => {
+  const result = quote.calculateQuote({ airportTrip: 'Yes', pickup: 'CLT', destination: 'Cornelius', passengers: '1', roundTrip: true });
+
+  assert.equal(result.total, 170);
+  assert.equal(result.lineItems[result.lineItems.length - 1].label, 'Return trip');
+});
+
+test('leaves non-airport and unknown trips to a phone quote', () => {
+  assert.equal(quote.calculateQuote({ airportTrip: 'No' }).available, false);
+  assert.equal(quote.calculateQuote({ airportTrip: 'Yes', pickup: 'Davidson', destination: 'Huntersville' }).available, false);
+});
+
+test('formats whole and partial dollars', () => {
+  assert.equal(quote.formatCurrency(85), '$85');
+  assert.equal(quote.formatCurrency(12.5), '$12.50');
+});
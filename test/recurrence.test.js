@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { recurrence } = require('./site');
+
+test('adds days across month ends and clock changes', () => {
+  assert.equal(recurrence.addDays('2026-10-31', 1), '2026-11-01');
+  assert.equal(recurrence.addDays('2026-11-01', 1), '2026-11-02');
+  assert.equal(recurrence.addDays('2026-03-01', -1), '2026-02-28');
+  assert.equal(recurrence.daysBetween('2026-03-07', '2026-03-09'), 2);
+});
+
+test('expands a weekly rule on its weekdays', () => {
+  const result = recurrence.expandOccurrences('2026-10-19', { frequency: 'weekly', weekdays: [1, 3], count: 4 }, '2026-10-19');
+
+  assert.deepEqual(result.dates, ['2026-10-19', '2026-10-21', '2026-10-26', '2026-10-28']);
+  assert.equal(result.truncated, false);
+});
+
+test('expands an interval rule until its end date', () => {
+  const result = recurrence.expandOccurrences('2026-10-20', { frequency: 'interval', intervalDays: 3, untilDate: '2026-10-29' }, '2026-10-19');
+
+  assert.deepEqual(result.dates, ['2026-10-20', '2026-10-23', '2026-10-26', '2026-10-29']);
+  assert.equal(result.truncated, false);
+});
+
+test('stops a series at the booking window and says so', () => {
+  const result = recurrence.expandOccurrences('2026-10-19', { frequency: 'interval', intervalDays: 30, count: 5 }, '2026-10-19');
+
+  assert.deepEqual(result.dates, ['2026-10-19', '2026-11-18', '2026-12-18', '2027-01-17']);
+  assert.equal(result.truncated, true);
+});
+
+test('describes rules', () => {
+  assert.equal(recurrence.describeRule({ frequency: 'weekly', weekdays: [5, 1] }), 'Weekly on Mon, Fri');
+  assert.equal(recurrence.describeRule({ frequency: 'interval', intervalDays: 1 }), 'Every day');
+});
@@ -0,0 +1,16 @@
+// Loads the site's browser modules into Node for the tests.
+// Each module attaches itself to window.MidnightExpress, so a bare global
+// window stands in for the page. Modules are loaded in the page's order.
+
+const path = require('path');
+
+const SITE_MODULES = ['quote', 'service_areas', 'drive_times', 'datetime', 'recurrence', 'schedule', 'availability', 'storage', 'booking_export'];
+
+global.window = global.window || { MidnightExpress: {}, navigator: {}, location: { search: '' } };
+global.jQuery = global.jQuery || function() {};
+
+SITE_MODULES.forEach(name => {
+  require(path.join(__dirname, '..', 'js', name + '.js'));
+});
+
+module.exports = global.window.MidnightExpress;
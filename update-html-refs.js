@@ -6,7 +6,8 @@ const path = require('path');
 // Files to process
 const htmlFiles = [
   'build/index.html',
-  'build/404.html'
+  'build/404.html',
+  'build/admin.html'
 ];
 
 // Replacement rules: [pattern, replacement]
@@ -16,6 +17,25 @@ const replacements = [
 
   // JS files - use minified versions
   [/js\/booking\.js/g, 'js/booking.min.js'],
+  [/js\/quote\.js/g, 'js/quote.min.js'],
+  [/js\/service_areas\.js/g, 'js/service_areas.min.js'],
+  [/js\/availability\.js/g, 'js/availability.min.js'],
+  [/js\/drive_times\.js/g, 'js/drive_times.min.js'],
+  [/js\/storage\.js/g, 'js/storage.min.js'],
+  [/js\/submission_queue\.js/g, 'js/submission_queue.min.js'],
+  [/js\/duplicate_guard\.js/g, 'js/duplicate_guard.min.js'],
+  [/js\/manage_booking\.js/g, 'js/manage_booking.min.js'],
+  [/js\/recurrence\.js/g, 'js/recurrence.min.js'],
+  [/js\/flight_info\.js/g, 'js/flight_info.min.js'],
+  [/js\/airlines\.js/g, 'js/airlines.min.js'],
+  [/js\/schedule\.js/g, 'js/schedule.min.js'],
+  [/js\/timeline\.js/g, 'js/timeline.min.js'],
+  [/js\/datetime\.js/g, 'js/datetime.min.js'],
+  [/js\/dispatch\.js/g, 'js/dispatch.min.js'],
+  [/js\/booking_export\.js/g, 'js/booking_export.min.js'],
+  [/js\/calendar_links\.js/g, 'js/calendar_links.min.js'],
+  [/js\/booking_draft\.js/g, 'js/booking_draft.min.js'],
+  [/js\/customer_profile\.js/g, 'js/customer_profile.min.js'],
   [/js\/contact_me\.js/g, 'js/contact_me.min.js'],
   [/js\/freelancer\.js/g, 'js/freelancer.min.js'],
 